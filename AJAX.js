@@ -7,9 +7,11 @@
 //   response parsing (text/json/blob), and progress events for large uploads/downloads.
 
 // Utility: build URL with query params
-function buildUrl(url, params = {}) {
+// Arrays, nested objects, Dates and null/undefined are handled by serializeParams (see 21);
+// options: { arrayFormat: 'repeat' | 'brackets' | 'indices' | 'comma', skipNulls: true }
+function buildUrl(url, params = {}, options = {}) {
     const u = new URL(url, typeof location !== 'undefined' ? location.origin : 'http://localhost');
-    Object.keys(params).forEach(k => u.searchParams.append(k, params[k]));
+    serializeParams(params, options).forEach(([k, v]) => u.searchParams.append(k, v));
     return u.toString();
 }
 
@@ -17,19 +19,12 @@ function buildUrl(url, params = {}) {
 // 1) XMLHttpRequest — GET (classic, supports progress events)
 // --------------------------
 // When to use: need progress events, older codebases, or detailed XHR control.
+// The raw open/onload/onerror/send steps live in sendXhr (see 15) so interceptors apply to XHR too.
+// Under Node (no XMLHttpRequest) the same call goes through the http/https transport (see 25).
 function xhrGet(url, onSuccess, onError) {
-    const xhr = new XMLHttpRequest();
-    xhr.open('GET', url, true); // true = async
-    xhr.responseType = 'json';  // try 'json', 'text', 'blob' depending on response
-    xhr.onload = () => {
-        if (xhr.status >= 200 && xhr.status < 300) {
-            onSuccess(xhr.response);
-        } else {
-            onError(new Error(`HTTP ${xhr.status}: ${xhr.statusText}`));
-        }
-    };
-    xhr.onerror = () => onError(new Error('Network error'));
-    xhr.send();
+    runInterceptors({ url, method: 'GET' }, config => sendViaTransport(config, {
+        responseType: 'json', // try 'json', 'text', 'blob' depending on response
+    })).then(onSuccess, onError); // onError gets an HttpError / NetworkError, see 14
 }
 
 // Example usage (browser):
@@ -41,59 +36,46 @@ function xhrGet(url, onSuccess, onError) {
 // 2) XMLHttpRequest — POST with FormData (file upload example)
 // --------------------------
 function xhrPostForm(url, formElement, onProgress, onSuccess, onError) {
-    const xhr = new XMLHttpRequest();
-    const fd = new FormData(formElement);
-    xhr.open('POST', url);
-    xhr.upload.onprogress = (ev) => {
-        if (ev.lengthComputable && onProgress) {
-            onProgress({ loaded: ev.loaded, total: ev.total, percent: (ev.loaded / ev.total) * 100 });
-        }
-    };
-    xhr.onload = () => {
-        if (xhr.status >= 200 && xhr.status < 300) onSuccess(xhr.responseText);
-        else onError(new Error(`HTTP ${xhr.status}`));
-    };
-    xhr.onerror = () => onError(new Error('Network error'));
-    xhr.send(fd);
+    // Node has no <form>: a ready FormData or a plain object (see toUploadBody in 17) works too
+    const fd = typeof FormData !== 'undefined' && formElement instanceof FormData ? formElement
+        : isJsonBody(formElement) ? toUploadBody(formElement)
+        : new FormData(formElement);
+    runInterceptors({ url, method: 'POST', body: fd }, config => sendViaTransport(config, {
+        onUploadProgress: onProgress, // xhr.upload.onprogress -> { loaded, total, percent }
+    })).then(onSuccess, onError); // onSuccess gets the raw responseText
 }
 // Usage in browser: pass a <form> element to xhrPostForm to upload files.
+// New code: prefer the promise-based upload() (see 17) — same progress events, plus AbortSignal.
 
 // --------------------------
 // 3) fetch — basic GET (modern, Promise-based)
 // --------------------------
 // When to use: most common cases for HTTP requests in modern code.
 function fetchGet(url, options = {}) {
-    return fetch(url, options)
-        .then(resp => {
-            if (!resp.ok) throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
-            // choose parsing: resp.json(), resp.text(), resp.blob(), etc.
-            return resp.json();
-        });
+    const { retry, ...init } = options; // retry is opt-in, see 13
+    // status check + parsing shared with every helper (see 12), interceptors applied (see 15)
+    return withRetry(() => performRequest({ url, ...init }), retry, init.signal);
 }
 // Example:
 // fetchGet('https://jsonplaceholder.typicode.com/todos/1')
 //   .then(data => console.log('fetch GET', data))
 //   .catch(err => console.error('fetch GET error', err.message));
+// fetchGet('/report.csv', { responseType: 'text' }) // force a parser instead of trusting Content-Type (see 16)
 
 // --------------------------
 // 4) fetch — POST JSON (with content-type and error handling)
 // --------------------------
-function fetchPostJson(url, bodyObj = {}) {
-    return fetch(url, {
+// options: { retry, signal } — the signal cancels the request and any backoff wait between retries
+function fetchPostJson(url, bodyObj = {}, options = {}) {
+    const { retry, signal } = options;
+    // careful: retrying a POST can create duplicates unless the server de-duplicates it
+    return withRetry(() => performRequest({
+        url,
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(bodyObj),
-    })
-    .then(async resp => {
-        const text = await resp.text(); // read raw text for better debugging
-        if (!resp.ok) {
-            // try to parse error JSON if available
-            let parsed;
-            try { parsed = JSON.parse(text); } catch (e) { parsed = text; }
-            throw new Error(`HTTP ${resp.status} ${resp.statusText} — ${JSON.stringify(parsed)}`);
-        }
-        return text ? JSON.parse(text) : null;
-    });
+        signal,
+    }), retry, signal); // error body is parsed and kept on err.body
 }
 // Example:
 // fetchPostJson('https://httpbin.org/post', { name: 'Alice' })
@@ -105,13 +87,11 @@ function fetchPostJson(url, bodyObj = {}) {
 // --------------------------
 async function getTodo(id) {
     try {
-        const url = `https://jsonplaceholder.typicode.com/todos/${id}`;
-        const resp = await fetch(url);
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        const json = await resp.json();
+        const url = resolveUrl('https://jsonplaceholder.typicode.com', '/todos/:id', { id }); // encodes + validates id, see 22
+        const json = await performRequest({ url });
         return json;
     } catch (err) {
-        // handle network and parsing errors here
+        // handle network and parsing errors here: err is an HttpError (err.status), NetworkError or TimeoutError
         throw err;
     }
 }
@@ -128,22 +108,14 @@ async function getTodo(id) {
 // --------------------------
 // 6) Aborting requests and timeouts (AbortController)
 // --------------------------
-function fetchWithTimeout(url, timeoutMs = 5000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeoutMs);
-    return fetch(url, { signal: controller.signal })
-        .then(resp => {
-            clearTimeout(id);
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            return resp.json();
-        })
-        .catch(err => {
-            if (err.name === 'AbortError') throw new Error('Request timed out');
-            throw err;
-        });
+// options: { retry, signal } — a caller's signal aborts alongside the timeout
+function fetchWithTimeout(url, timeoutMs = 5000, options = {}) {
+    const { retry, signal } = options;
+    // each attempt gets its own timeout when a retry policy is passed
+    return withRetry(() => performRequest({ url, signal }, { timeout: timeoutMs }), retry, signal); // AbortController + setTimeout, see 12
 }
 // Example:
-// fetchWithTimeout('https://jsonplaceholder.typicode.com/todos/1', 1000)
+// fetchWithTimeout('https://jsonplaceholder.typicode.com/todos/1', 1000, { retry: { maxAttempts: 3 } })
 //   .then(d => console.log('fwt', d))
 //   .catch(e => console.error('fwt err', e.message));
 
@@ -151,9 +123,12 @@ function fetchWithTimeout(url, timeoutMs = 5000) {
 // 7) Download progress with fetch (ReadableStream) — advanced
 // --------------------------
 // When to use: show progress for large downloads in modern browsers.
-async function fetchWithDownloadProgress(url, onProgress) {
-    const resp = await fetch(url);
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+function fetchWithDownloadProgress(url, onProgress) {
+    // parse only runs for 2xx responses; errors are still HttpErrors
+    return performRequest({ url }, { parse: resp => readWithProgress(resp, onProgress) });
+}
+
+async function readWithProgress(resp, onProgress) {
     const contentLength = resp.headers.get('Content-Length');
     if (!resp.body || !contentLength) {
         // fallback to simple read
@@ -179,6 +154,8 @@ async function fetchWithDownloadProgress(url, onProgress) {
 // fetchWithDownloadProgress('/large-file', p => console.log('progress', p))
 //   .then(blob => console.log('download complete', blob))
 //   .catch(err => console.error(err));
+// Very large files: createResumableDownload (see 18) fetches Range chunks and resumes after errors.
+// Live feeds: streamSse / streamNdjson (see 30) read the same resp.body but yield parsed records.
 
 // --------------------------
 // 8) CORS — short explanation (must-know)
@@ -196,7 +173,7 @@ async function fetchWithDownloadProgress(url, onProgress) {
 // - Check resp.ok / status codes (401, 403, 404, 500).
 // - Parse response safely (try/catch around resp.json()) — invalid JSON will throw.
 // - Network errors are thrown by fetch; XHR has onerror/onabort.
-// - Provide user feedback and retry/backoff if appropriate.
+// - Provide user feedback and retry/backoff if appropriate (see 13: withRetry / `retry` option).
 
 // --------------------------
 // 10) Practical tips / anti-patterns
@@ -204,7 +181,8 @@ async function fetchWithDownloadProgress(url, onProgress) {
 // - Prefer fetch + async/await for readability in new code.
 // - Use AbortController to cancel slow requests (e.g., user navigates away or repeated queries).
 // - Avoid blocking the UI with synchronous XHR (deprecated and bad UX).
-// - For large concurrency of requests, limit parallelism (see asyncJavaScrpit.js mapWithLimit).
+// - For large concurrency of requests, limit parallelism (see asyncJavaScrpit.js processBatchWithLimit,
+//   or createRequestScheduler in 26 for HTTP calls).
 // - Use HTTPS for production APIs and handle sensitive data carefully.
 // - When building APIs, return consistent JSON error shapes to simplify client handling.
 
@@ -213,25 +191,3246 @@ async function fetchWithDownloadProgress(url, onProgress) {
 // --------------------------
 const quick = {
     // GET JSON (fetch + promise)
-    fetchGetJson: url => fetch(url).then(r => { if (!r.ok) throw new Error(r.status); return r.json(); }),
+    fetchGetJson: url => performRequest({ url }),
 
     // POST JSON (with async/await)
     postJson: async (url, body) => {
-        const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-        if (!r.ok) throw new Error(r.status);
-        return r.json();
+        return performRequest({ url, method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
     },
 
     // Simple XHR GET (callback)
     xhrGetCb: (url, cb) => {
-        const x = new XMLHttpRequest();
-        x.open('GET', url);
-        x.onload = () => cb(null, x.status >= 200 && x.status < 300 ? JSON.parse(x.responseText) : new Error(x.status));
-        x.onerror = () => cb(new Error('network'));
-        x.send();
+        runInterceptors({ url, method: 'GET' }, config => sendViaTransport(config, { responseType: 'json' }))
+            .then(data => cb(null, data), cb);
+    }
+};
+
+// --------------------------
+// 12) Unified HTTP client — one response-handling path for every helper
+// --------------------------
+// All fetch-based helpers above funnel through sendFetch + handleResponse, so a failed request always
+// looks the same: an HttpError (or NetworkError / TimeoutError) with status, url, method and parsed body.
+// createHttpClient bundles the shared bits (base URL, default headers, timeout) into one object.
+
+// Shared response handling: status check + parsing (by Content-Type or req.responseType, see 16).
+// req = { url, method, responseType } — url/method are only used to describe the request in errors.
+async function handleResponse(resp, req = {}) {
+    if (!resp.ok) throw await httpErrorFromResponse(resp, req);
+    return parseResponseBody(resp, req.responseType, req.method);
+}
+
+function parseBodyText(text) {
+    if (!text) return null;
+    try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+// fetch with an optional timeout; a caller-supplied signal still cancels the request.
+// Rejections are mapped to NetworkError / TimeoutError; a caller's own abort stays an AbortError.
+function sendFetch(url, init = {}, timeoutMs = 0) {
+    const method = (init.method || 'GET').toUpperCase();
+    const userSignal = init.signal;
+    let controller = null;
+    let id = null;
+    if (timeoutMs) {
+        controller = new AbortController();
+        if (userSignal) {
+            if (userSignal.aborted) controller.abort();
+            else userSignal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        id = setTimeout(() => controller.abort(), timeoutMs);
+    }
+    const span = httpMetrics.begin({ method, url, headers: init.headers, body: init.body }, 'fetch'); // see 34
+    if (span && span.traceparent) {
+        const headers = new Headers(init.headers || {});
+        headers.set('traceparent', span.traceparent);
+        init = { ...init, headers };
+    }
+    return fetch(url, controller ? { ...init, signal: controller.signal } : init)
+        .catch(err => {
+            if (err.name === 'AbortError') {
+                // only our own timer turns an AbortError into a timeout
+                if (controller && !(userSignal && userSignal.aborted)) {
+                    throw new TimeoutError({ url, method, timeout: timeoutMs, cause: err });
+                }
+                throw err;
+            }
+            throw new NetworkError({ url, method, cause: err });
+        })
+        .then(resp => (span ? watchResponseBody(resp, span) : resp), err => {
+            if (span) span.end({ error: err });
+            throw err;
+        })
+        .finally(() => clearTimeout(id));
+}
+
+// Plain objects/arrays are sent as JSON; FormData, Blob, strings, etc. go through untouched.
+function isJsonBody(body) {
+    if (body === null || typeof body !== 'object') return false;
+    const proto = Object.getPrototypeOf(body);
+    return Array.isArray(body) || proto === Object.prototype || proto === null;
+}
+
+function createHttpClient(config = {}) {
+    const {
+        baseUrl = '', headers: defaultHeaders = {}, timeout = 0, retry: defaultRetry,
+        cache, scheduler, rateLimiter, circuitBreaker, queryOptions, auth, outbox,
+    } = config;
+    // per-client interceptors run after the global ones (see 15)
+    const clientInterceptors = { request: createInterceptorManager(), response: createInterceptorManager() };
+    if (auth) useAuth(auth, { interceptors: clientInterceptors }); // see 35
+    if (outbox) useOutbox(outbox, { interceptors: clientInterceptors }); // see 36
+
+    // options: { params, pathParams, headers, body, timeout, retry, cache, priority, signal, ...any other fetch init option }
+    function request(method, url, options = {}) {
+        const { params, pathParams, headers = {}, body, timeout: timeoutMs = timeout, retry = defaultRetry, ...init } = options;
+        if (cache && !('cache' in init)) init.cache = cache; // GETs only, see 20
+        if (scheduler && !('scheduler' in init)) init.scheduler = scheduler; // see 26
+        if (rateLimiter && !('rateLimiter' in init)) init.rateLimiter = rateLimiter; // see 27
+        if (circuitBreaker && !('circuitBreaker' in init)) init.circuitBreaker = circuitBreaker; // see 28
+        let fullUrl;
+        try {
+            fullUrl = buildUrl(resolveUrl(baseUrl, url, pathParams), params, queryOptions); // see 21, 22
+        } catch (err) {
+            return Promise.reject(err); // a missing path parameter: reject like any other request error
+        }
+        const finalHeaders = { ...toPlainHeaders(defaultHeaders), ...toPlainHeaders(headers) };
+        let finalBody = body;
+        if (isJsonBody(body)) {
+            finalBody = JSON.stringify(body);
+            if (!hasHeader(finalHeaders, 'Content-Type')) finalHeaders['Content-Type'] = 'application/json';
+        }
+        return withRetry(() => performRequest(
+            { ...init, url: fullUrl, method, headers: finalHeaders, body: finalBody },
+            { timeout: timeoutMs, interceptors: [clientInterceptors] }
+        ), retry, init.signal);
+    }
+
+    return {
+        interceptors: clientInterceptors,
+        request,
+        get: (url, options) => request('GET', url, options),
+        delete: (url, options) => request('DELETE', url, options),
+        post: (url, body, options = {}) => request('POST', url, { ...options, body }),
+        put: (url, body, options = {}) => request('PUT', url, { ...options, body }),
+        patch: (url, body, options = {}) => request('PATCH', url, { ...options, body }),
+    };
+}
+
+function joinUrl(base, path) {
+    if (!base) return path;
+    if (/^https?:\/\//i.test(path)) return path; // absolute URLs ignore the base
+    return base.replace(/\/+$/, '') + '/' + String(path).replace(/^\/+/, '');
+}
+
+function hasHeader(headers, name) {
+    return Object.keys(headers).some(k => k.toLowerCase() === name.toLowerCase());
+}
+// Example:
+// const api = createHttpClient({ baseUrl: 'https://jsonplaceholder.typicode.com', timeout: 5000 });
+// api.get('/todos', { params: { userId: 1 } }).then(todos => console.log(todos.length));
+// api.post('/todos', { title: 'learn fetch', completed: false })
+//   .catch(err => console.error(err.status, err.body));
+
+// --------------------------
+// 13) Retry with exponential backoff + jitter (opt-in)
+// --------------------------
+// Pass `retry: true` (defaults) or a policy object to fetchGet / fetchPostJson / fetchWithTimeout /
+// createHttpClient. Delay before attempt n+1 = min(maxDelay, baseDelay * 2^(n-1)), then "full jitter"
+// picks a random value in [0, delay] so many clients don't retry in lockstep. A Retry-After header
+// (seconds or HTTP date) on 429/503 replaces the computed delay, up to maxRetryAfter: a server asking
+// for a day (Retry-After: 86400) must not leave the caller's promise hanging that long.
+// Timers use setTimeout and the random source is injectable, so fake timers + a stubbed fetch work.
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,                                  // total attempts, including the first one
+    baseDelay: 300,                                  // ms
+    maxDelay: 10000,                                 // ms, cap for the computed backoff
+    jitter: true,                                    // false = exact exponential delays
+    retryOn: [408, 425, 429, 500, 502, 503, 504],    // status codes, or (err, attempt) => boolean
+    retryOnNetworkError: true,                       // fetch rejected (offline, DNS, CORS...)
+    retryOnTimeout: true,                            // our own timeout fired (see sendFetch)
+    respectRetryAfter: true,
+    maxRetryAfter: 60000,                            // ms, cap for a Retry-After wait
+    onRetry: null,                                   // ({ attempt, delay, error }) => void, handy for logging
+    random: Math.random,
+};
+
+function isRetryableError(err, policy, attempt) {
+    if (err.queued) return false; // parked in an offline outbox (see 36), which sends it later
+    if (typeof policy.retryOn === 'function') return policy.retryOn(err, attempt);
+    // check subclasses first: TimeoutError is a NetworkError is an HttpError
+    if (err instanceof TimeoutError) return policy.retryOnTimeout;
+    if (err instanceof NetworkError) return policy.retryOnNetworkError;
+    if (err instanceof HttpError) return policy.retryOn.includes(err.status);
+    return false; // AbortError (cancelled by the caller), parse errors, bugs — never retry
+}
+
+// Retry-After is either delay-seconds ("120") or an HTTP date; returns ms or null.
+function parseRetryAfter(value, now = Date.now()) {
+    if (value == null || value === '') return null;
+    if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(Number(value) * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function computeBackoff(attempt, policy) {
+    const exp = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return policy.jitter ? Math.round(policy.random() * exp) : exp;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason || new Error('Aborted'));
+        const id = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(id);
+            reject(signal.reason || new Error('Aborted'));
+        }
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// fn(attempt) must start a fresh request each time it is called.
+async function withRetry(fn, retry, signal) {
+    if (!retry) return fn(1);
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(retry === true ? {} : retry) };
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt >= policy.maxAttempts || !isRetryableError(err, policy, attempt)) throw err;
+            let delay = computeBackoff(attempt, policy);
+            if (policy.respectRetryAfter && err.headers) {
+                const retryAfter = parseRetryAfter(err.headers['retry-after']);
+                if (retryAfter !== null) delay = Math.min(retryAfter, policy.maxRetryAfter);
+            }
+            if (policy.onRetry) policy.onRetry({ attempt, delay, error: err });
+            await sleep(delay, signal);
+        }
+    }
+}
+// Example:
+// fetchGet('https://jsonplaceholder.typicode.com/todos/1', { retry: { maxAttempts: 4, baseDelay: 500 } })
+//   .then(todo => console.log(todo));
+// const api = createHttpClient({ baseUrl: 'https://pokeapi.co/api/v2', retry: true });
+
+// --------------------------
+// 14) Structured errors — HttpError, NetworkError, TimeoutError
+// --------------------------
+// Every helper in this file rejects (or calls onError) with one of these, so callers can branch on
+// `err instanceof TimeoutError` or `err.status === 404` instead of parsing messages.
+//   HttpError     — server answered with a non-2xx status
+//   NetworkError  — no response at all (offline, DNS, CORS); status is 0 like XHR
+//   TimeoutError  — our own timeout fired (a NetworkError, so one check covers both)
+// A caller's own AbortController.abort() is left as the native AbortError.
+class HttpError extends Error {
+    constructor({ status = 0, statusText = '', url = '', method = 'GET', headers = {}, body = null, cause, message } = {}) {
+        super(message || `HTTP ${status} ${statusText}`.trim() + (url ? ` (${method} ${url})` : ''));
+        this.name = 'HttpError';
+        this.status = status;
+        this.statusText = statusText;
+        this.url = url;
+        this.method = method;
+        this.headers = headers; // plain object, lower-cased names
+        this.body = body;       // parsed JSON when possible, raw text otherwise
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+class NetworkError extends HttpError {
+    constructor({ url = '', method = 'GET', cause, message } = {}) {
+        super({ url, method, cause, message: message || `Network error (${method} ${url})` });
+        this.name = 'NetworkError';
+    }
+}
+
+class TimeoutError extends NetworkError {
+    constructor({ url = '', method = 'GET', timeout = 0, cause } = {}) {
+        super({ url, method, cause, message: `Request timed out after ${timeout}ms (${method} ${url})` });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+// Headers instance (fetch) or getAllResponseHeaders() string (XHR) -> { 'content-type': '...' }
+function headersToObject(headers) {
+    const out = {};
+    if (!headers) return out;
+    if (typeof headers === 'string') {
+        headers.trim().split(/[\r\n]+/).forEach(line => {
+            const i = line.indexOf(':');
+            if (i > 0) out[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+        });
+    } else if (typeof headers.forEach === 'function') {
+        headers.forEach((value, name) => { out[name.toLowerCase()] = value; });
+    }
+    return out;
+}
+
+// Request headers as a plain object for interceptors and merging: a plain object is copied as-is,
+// a Headers instance or [name, value] pairs (both valid for fetch) are converted (names lowercased).
+function toPlainHeaders(headers) {
+    if (!headers) return {};
+    if (isJsonBody(headers) && !Array.isArray(headers)) return { ...headers };
+    return headersToObject(new Headers(headers));
+}
+
+async function httpErrorFromResponse(resp, req = {}) {
+    let body = null;
+    try { body = parseBodyText(await resp.text()); } catch (e) { /* body already used or unreadable */ }
+    return new HttpError({
+        status: resp.status,
+        statusText: resp.statusText,
+        url: req.url || resp.url,
+        method: (req.method || 'GET').toUpperCase(),
+        headers: headersToObject(resp.headers),
+        body,
+    });
+}
+
+function httpErrorFromXhr(xhr, method, url) {
+    // responseText is only readable for '' / 'text'; otherwise XHR already parsed xhr.response
+    const textual = xhr.responseType === '' || xhr.responseType === 'text';
+    return new HttpError({
+        status: xhr.status,
+        statusText: xhr.statusText,
+        url: xhr.responseURL || url,
+        method,
+        headers: headersToObject(xhr.getAllResponseHeaders()),
+        body: textual ? parseBodyText(xhr.responseText) : xhr.response,
+    });
+}
+// Example:
+// getTodo(9999).catch(err => {
+//   if (err instanceof TimeoutError) console.warn('slow network, try again');
+//   else if (err.status === 404) console.warn('no such todo');
+//   else console.error(err.method, err.url, err.body);
+// });
+
+// --------------------------
+// 15) Interceptors — request/response middleware for every helper (fetch and XHR)
+// --------------------------
+// Register once, applies everywhere: fetchGet, fetchPostJson, getTodo, fetchWithTimeout,
+// fetchWithDownloadProgress, quick.*, createHttpClient and the XHR helpers.
+//   request:  (config) => config          config = { url, method, headers, body, ...fetch options }
+//   response: (response) => response      response = { data, status, statusText, headers, config }
+//             (error, config, send) => response  optional second handler: recover or re-throw;
+//             send(config) sends the request again, skipping the request interceptors (see 35)
+// Handlers may be async. Returning nothing keeps the value unchanged. use() returns an "eject" function.
+function createInterceptorManager() {
+    const handlers = [];
+    return {
+        handlers,
+        use(onFulfilled, onRejected) {
+            const handler = { onFulfilled, onRejected };
+            handlers.push(handler);
+            return () => {
+                const i = handlers.indexOf(handler);
+                if (i !== -1) handlers.splice(i, 1);
+            };
+        },
+        clear() { handlers.length = 0; },
+    };
+}
+
+const interceptors = {
+    request: createInterceptorManager(),
+    response: createInterceptorManager(),
+};
+
+// send(config) must resolve with { data, status, statusText, headers, config }; resolves with data
+// (or with that whole response object when `full` is true, e.g. to read headers — see 29).
+async function runInterceptors(config, send, extra = [], full = false) {
+    const managers = [interceptors, ...extra];
+    let cfg = { ...config, method: (config.method || 'GET').toUpperCase(), headers: toPlainHeaders(config.headers) };
+    for (const m of managers) {
+        for (const h of m.request.handlers.slice()) {
+            if (h.onFulfilled) cfg = (await h.onFulfilled(cfg)) || cfg;
+        }
+    }
+    const resend = next => Promise.resolve().then(() => send(next));
+    let outcome = resend(cfg);
+    for (const m of managers) {
+        for (const h of m.response.handlers.slice()) {
+            outcome = outcome.then(
+                async res => (h.onFulfilled ? (await h.onFulfilled(res)) || res : res),
+                h.onRejected ? err => h.onRejected(err, cfg, resend) : undefined
+            );
+        }
+    }
+    const res = await outcome;
+    return full ? res : res.data;
+}
+
+// The fetch path used by every fetch-based helper: interceptors -> sendFetch -> status check -> parse.
+// options: { timeout, parse(resp) for 2xx responses, interceptors: extra managers (per client),
+//            full: resolve with { data, status, statusText, headers, config } instead of data }
+// Identical GETs already in flight share one network call (see 19); GETs with `cache` use it (see 20);
+// with `scheduler` the network work waits for a free slot (see 26), with `rateLimiter` for a token (see 27);
+// `circuitBreaker` fails fast while an endpoint is known to be down (see 28). Those three only wrap
+// requests that actually go out: an answer served from the cache doesn't wait for or count against them.
+function performRequest(config, { timeout = 0, parse, interceptors: extra = [], full = false } = {}) {
+    return runInterceptors(config, cfg => {
+        const host = hostOf(cfg.url);
+        const limited = task => (cfg.rateLimiter ? cfg.rateLimiter.run(task, { host, signal: cfg.signal }) : task());
+        const scheduled = task => (cfg.scheduler
+            ? cfg.scheduler.schedule(() => limited(task), { host, priority: cfg.priority, signal: cfg.signal })
+            : limited(task));
+        const run = task => (cfg.circuitBreaker
+            ? cfg.circuitBreaker.run(() => scheduled(task), { url: cfg.url, method: cfg.method })
+            : scheduled(task));
+        if (parse) return run(() => fetchAndParse(cfg, timeout, parse)); // custom parsers (progress) are per caller
+        const load = () => (isResponseCache(cfg.cache) && cfg.method === 'GET'
+            ? fetchWithCache(cfg, timeout, run)
+            : run(() => fetchAndParse(cfg, timeout)));
+        const key = dedupeKey(cfg, timeout);
+        if (!key) return load();
+        if (!inFlightRequests.has(key)) {
+            inFlightRequests.set(key, load().finally(() => inFlightRequests.delete(key)));
+        }
+        // each caller gets its own response object and data, so neither response interceptors nor
+        // callers editing their result step on each other
+        return inFlightRequests.get(key).then(res => ({ ...res, data: ownCopy(res.data), headers: { ...res.headers }, config: cfg }));
+    }, extra, full);
+}
+
+async function fetchAndParse(cfg, timeout, parse) {
+    const resp = await sendFetch(cfg.url, toFetchInit(cfg), timeout);
+    const data = await (parse && resp.ok ? parse(resp) : handleResponse(resp, cfg));
+    return { data, status: resp.status, statusText: resp.statusText, headers: headersToObject(resp.headers), config: cfg };
+}
+
+// Request config keys that are ours (see 16, 19, 26-28, 35, 36), not fetch() options.
+const OWN_CONFIG_KEYS = [
+    'url', 'responseType', 'dedupe', 'scheduler', 'rateLimiter', 'circuitBreaker', 'authToken', 'authRetried',
+    'skipAuth', 'outboxId',
+];
+
+const FETCH_PRIORITIES = ['high', 'low', 'auto'];
+
+function toFetchInit(cfg) {
+    const init = { ...cfg };
+    // fetch's own priority hint passes through, unless the scheduler (see 26) already used it
+    if (cfg.scheduler || !FETCH_PRIORITIES.includes(cfg.priority)) delete init.priority;
+    OWN_CONFIG_KEYS.forEach(key => delete init[key]);
+    if (isResponseCache(init.cache)) delete init.cache; // fetch's own cache mode ('no-store'...) passes through (see 20)
+    return init;
+}
+
+// The XHR transport behind xhrGet / xhrPostForm / quick.xhrGetCb / upload() in browsers (see 25).
+// options: { responseType: '' | 'json' | 'text' | 'blob' | 'arraybuffer', onUploadProgress(p), signal }
+function sendXhr(config, { responseType = '', onUploadProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const { url, method } = config;
+        if (signal && signal.aborted) return reject(abortReason(signal));
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url, true); // true = async
+        xhr.responseType = responseType;
+        Object.keys(config.headers || {}).forEach(name => xhr.setRequestHeader(name, config.headers[name]));
+        const span = httpMetrics.begin(config, 'xhr'); // see 34
+        if (span) {
+            if (span.traceparent) xhr.setRequestHeader('traceparent', span.traceparent);
+            xhr.onreadystatechange = () => { if (xhr.readyState === 2) span.headers(xhr.status); };
+            xhr.onprogress = ev => span.progress(ev.loaded);
+        }
+        if (onUploadProgress) {
+            xhr.upload.onprogress = (ev) => {
+                if (ev.lengthComputable) {
+                    onUploadProgress({ loaded: ev.loaded, total: ev.total, percent: (ev.loaded / ev.total) * 100 });
+                }
+            };
+        }
+        xhr.onload = () => {
+            if (span) span.end({ status: xhr.status });
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve({
+                    data: xhr.response, // same as responseText when responseType is ''
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: headersToObject(xhr.getAllResponseHeaders()),
+                    config,
+                });
+            } else {
+                reject(httpErrorFromXhr(xhr, method, url));
+            }
+        };
+        const fail = error => {
+            if (span) span.end({ error });
+            reject(error);
+        };
+        // a real XHR passes a ProgressEvent with no details; the mock / replay XHR passes its Error (see 24, 33)
+        xhr.onerror = ev => fail(new NetworkError({ method, url, cause: ev instanceof Error ? ev : undefined }));
+        if (signal) {
+            const onAbort = () => xhr.abort();
+            signal.addEventListener('abort', onAbort, { once: true });
+            xhr.onloadend = () => signal.removeEventListener('abort', onAbort);
+        }
+        xhr.onabort = () => fail(abortReason(signal));
+        xhr.send(config.body === undefined ? null : config.body);
+    });
+}
+
+// Same rejection value fetch uses for an aborted request.
+function abortReason(signal) {
+    return (signal && signal.reason) || new DOMException('The operation was aborted.', 'AbortError');
+}
+// Example:
+// let nextId = 1;
+// interceptors.request.use(config => {
+//   config.headers['Authorization'] = 'Bearer ' + localStorage.getItem('token');
+//   config.headers['X-Request-Id'] = String(nextId++);
+//   return config;
+// });
+// const stopLogging = interceptors.response.use(
+//   res => { console.log(res.config.method, res.config.url, res.status); return res; },
+//   (err, config) => { console.warn('failed', config.url, err.status); throw err; }
+// );
+// stopLogging(); // eject
+
+// --------------------------
+// 16) Content-Type aware response parsing
+// --------------------------
+// Like xhr.responseType, but for fetch: pass `responseType` to fetchGet / createHttpClient (or set it in
+// a request interceptor). Default 'auto' looks at Content-Type:
+//   application/json, *+json             -> parsed JSON (invalid JSON rejects with a SyntaxError)
+//   text/*, xml, javascript, csv, form    -> string
+//   anything else (images, pdf, zip...)   -> Blob (ArrayBuffer where Blob is missing)
+//   204 / 205 / 304, HEAD, empty body     -> null
+//   no Content-Type                       -> JSON if it parses, raw text otherwise
+// Explicit: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'stream' (resp.body, a ReadableStream you read yourself).
+const RESPONSE_TYPES = ['auto', 'json', 'text', 'blob', 'arrayBuffer', 'stream'];
+
+function isEmptyResponse(resp, method) {
+    return resp.status === 204 || resp.status === 205 || resp.status === 304
+        || String(method || '').toUpperCase() === 'HEAD'
+        || resp.headers.get('Content-Length') === '0';
+}
+
+function detectResponseType(contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!type) return 'unknown';
+    if (type === 'application/json' || type.endsWith('+json')) return 'json';
+    if (type.startsWith('text/') || type.endsWith('+xml') || /^application\/(xml|javascript|x-www-form-urlencoded|csv)$/.test(type)) return 'text';
+    return 'binary';
+}
+
+async function parseResponseBody(resp, responseType = 'auto', method) {
+    if (!RESPONSE_TYPES.includes(responseType)) throw new TypeError(`Unknown responseType "${responseType}"`);
+    if (isEmptyResponse(resp, method)) return null;
+    switch (responseType) {
+        case 'json': {
+            const text = await resp.text();
+            return text ? JSON.parse(text) : null; // explicit json: invalid JSON throws
+        }
+        case 'text': return resp.text();
+        case 'blob': return resp.blob();
+        case 'arrayBuffer': return resp.arrayBuffer();
+        case 'stream': return resp.body;
+    }
+    const detected = detectResponseType(resp.headers.get('Content-Type'));
+    if (detected === 'binary') return typeof Blob !== 'undefined' ? resp.blob() : resp.arrayBuffer();
+    const text = await resp.text();
+    if (detected === 'text') return text;
+    if (detected === 'json') return text ? JSON.parse(text) : null; // the server said JSON: broken JSON is an error
+    return parseBodyText(text); // no Content-Type: JSON if it parses, raw text otherwise
+}
+// Example:
+// fetchGet('https://pokeapi.co/api/v2/pokemon/ditto')                  // -> object
+// fetchGet('https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/132.png')
+//   .then(blob => { img.src = URL.createObjectURL(blob); });           // -> Blob
+// fetchGet('/big.ndjson', { responseType: 'stream' }).then(stream => stream.getReader());
+
+// --------------------------
+// 17) upload() — promise-based upload with progress and cancellation
+// --------------------------
+// fetch cannot report upload progress, so upload() drives XMLHttpRequest (via sendXhr) behind a
+// Promise API — or Node's http/https module, which reports progress too (transports, see 25).
+// Interceptors apply as usual.
+//   data:    FormData | Blob | File | ArrayBuffer | string | plain object (converted to FormData)
+//   options: { method = 'POST', headers, onProgress({ loaded, total, percent }), signal, responseType }
+// Resolves with the parsed response (JSON if it parses, text otherwise, or the given responseType).
+function upload(url, data, options = {}) {
+    const { method = 'POST', headers = {}, onProgress, signal, responseType = 'auto' } = options;
+    const body = toUploadBody(data);
+    const xhrType = { auto: '', json: 'json', text: 'text', blob: 'blob', arrayBuffer: 'arraybuffer' }[responseType];
+    if (xhrType === undefined) return Promise.reject(new TypeError(`Unknown responseType "${responseType}"`));
+    return runInterceptors({ url, method, headers, body }, config =>
+        sendViaTransport(config, { responseType: xhrType, onUploadProgress: onProgress, signal }).then(res => {
+            if (responseType !== 'auto') return res;
+            const text = res.data;
+            const data = detectResponseType(res.headers['content-type']) === 'text' ? text : parseBodyText(text);
+            return { ...res, data };
+        })
+    );
+}
+
+// Plain objects become FormData: Blob/File values are sent as files, arrays repeat the field,
+// nested objects are sent as JSON strings, null/undefined are skipped.
+function toUploadBody(data) {
+    if (!isJsonBody(data) || Array.isArray(data)) return data;
+    const fd = new FormData();
+    Object.keys(data).forEach(key => {
+        [].concat(data[key]).forEach(value => {
+            if (value === null || value === undefined) return;
+            if (typeof Blob !== 'undefined' && value instanceof Blob) fd.append(key, value, value.name || key);
+            else if (typeof value === 'object') fd.append(key, JSON.stringify(value));
+            else fd.append(key, String(value));
+        });
+    });
+    return fd;
+}
+// Example (browser):
+// const controller = new AbortController();
+// upload('https://httpbin.org/post', { avatar: fileInput.files[0], userId: 42 }, {
+//   onProgress: p => { bar.value = p.percent; },
+//   signal: controller.signal,
+// }).then(res => console.log('uploaded', res))
+//   .catch(err => err.name === 'AbortError' ? console.log('cancelled') : console.error(err));
+// cancelButton.onclick = () => controller.abort();
+
+// --------------------------
+// 18) Resumable chunked downloads (HTTP Range requests)
+// --------------------------
+// fetchWithDownloadProgress keeps one long response open and starts over after any failure.
+// createResumableDownload asks for the file piece by piece ("Range: bytes=0-1048575", ...). The server
+// answers 206 Partial Content with "Content-Range: bytes 0-1048575/52428800", which gives us the
+// total size. After a network error it continues from the last byte received (with backoff, see 13).
+// If-Range (ETag / Last-Modified) makes the server send the whole file (200) if it changed meanwhile,
+// in which case we start over. Servers without Range support also answer 200: one plain download.
+// Returns a handle: { done: Promise<Blob>, pause(), resume(), abort(), state, loaded, total }.
+function createResumableDownload(url, options = {}) {
+    const { chunkSize = 1024 * 1024, onProgress, headers = {}, retry } = options;
+    const policy = { ...DEFAULT_RETRY_POLICY, maxAttempts: 5, ...(retry || {}) }; // consecutive failures allowed
+    const lifetime = new AbortController(); // aborts backoff sleeps when the download is aborted
+    const chunks = [];
+    let loaded = 0;
+    let total = null;
+    let validator = null;   // for If-Range
+    let contentType = '';
+    let state = 'downloading'; // 'paused' | 'done' | 'aborted' | 'failed'
+    let controller = null;  // aborts the in-flight range request (pause/abort)
+    let wakeUp = null;      // resolves the wait while paused
+    let wholeBody = false;  // a 200 response was read to the end: nothing left to request
+
+    const report = () => onProgress && onProgress({ loaded, total, percent: total ? (loaded / total) * 100 : null });
+
+    async function readRange(resp, requestedEnd) {
+        const full = resp.status !== 206;
+        if (!full) {
+            const range = parseContentRange(resp.headers.get('Content-Range'));
+            if (!range || range.start !== loaded) throw new Error(`Unexpected Content-Range "${resp.headers.get('Content-Range')}" for ${url}`);
+            if (range.total !== null) total = range.total;
+        } else {
+            // 200: Range not supported, or If-Range did not match (file changed) — start over.
+            // If this read is cut short (pause, dropped connection) the next request starts over again.
+            chunks.length = 0;
+            loaded = 0;
+            validator = null; // the old one belongs to the previous version of the file
+            const length = resp.headers.get('Content-Length');
+            total = length && !resp.headers.get('Content-Encoding') ? Number(length) : null;
+        }
+        const etag = resp.headers.get('ETag');
+        validator = validator || (etag && !etag.startsWith('W/') ? etag : resp.headers.get('Last-Modified'));
+        contentType = resp.headers.get('Content-Type') || contentType;
+        const reader = resp.body.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                loaded += value.length;
+                report();
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            throw new NetworkError({ url, cause: err }); // connection dropped mid-body: retryable
+        }
+        if (full) wholeBody = true; // only now: an aborted 200 read is not a finished download
+        // "Content-Range: bytes 0-99/*" (unknown size): a short range means we reached the end
+        if (total === null && (wholeBody || loaded <= requestedEnd)) total = loaded;
+    }
+
+    function fetchNextRange() {
+        controller = new AbortController();
+        const end = (total === null ? loaded + chunkSize : Math.min(loaded + chunkSize, total)) - 1;
+        const rangeHeaders = { ...toPlainHeaders(headers), Range: `bytes=${loaded}-${end}` };
+        if (validator) rangeHeaders['If-Range'] = validator;
+        return performRequest(
+            { url, headers: rangeHeaders, signal: controller.signal },
+            { parse: resp => readRange(resp, end) }
+        );
+    }
+
+    async function run() {
+        let failures = 0;
+        while (!wholeBody && (total === null || loaded < total)) {
+            if (state === 'paused') await new Promise(resolve => { wakeUp = resolve; });
+            if (state === 'aborted') throw abortReason(lifetime.signal);
+            const before = loaded;
+            try {
+                await fetchNextRange();
+                failures = 0;
+                if (loaded === before && loaded !== total) throw new Error(`Server returned an empty range for ${url}`);
+            } catch (err) {
+                if (state === 'paused') continue; // pause() aborted the request; received bytes are kept
+                if (state === 'aborted') throw abortReason(lifetime.signal);
+                if (err.status === 416) {
+                    // asked past the end — "Content-Range: bytes */<size>" tells us the real size
+                    const range = parseContentRange(err.headers['content-range']);
+                    if (range && range.total === loaded) { total = loaded; continue; }
+                }
+                failures = loaded > before ? 1 : failures + 1; // progress resets the counter
+                if (failures >= policy.maxAttempts || !isRetryableError(err, policy, failures)) throw err;
+                await sleep(computeBackoff(failures, policy), lifetime.signal);
+            }
+        }
+        if (total !== null && loaded !== total) throw new Error(`Download incomplete: got ${loaded} of ${total} bytes from ${url}`);
+        return new Blob(chunks, { type: contentType });
+    }
+
+    const done = run().then(
+        blob => { state = 'done'; return blob; },
+        err => { if (state !== 'aborted') state = 'failed'; throw err; }
+    );
+
+    return {
+        done,
+        pause() {
+            if (state !== 'downloading') return;
+            state = 'paused';
+            if (controller) controller.abort();
+        },
+        resume() {
+            if (state !== 'paused') return;
+            state = 'downloading';
+            if (wakeUp) { wakeUp(); wakeUp = null; }
+        },
+        abort() {
+            if (state === 'done' || state === 'failed' || state === 'aborted') return;
+            state = 'aborted';
+            lifetime.abort();
+            if (controller) controller.abort();
+            if (wakeUp) { wakeUp(); wakeUp = null; }
+        },
+        get state() { return state; },
+        get loaded() { return loaded; },
+        get total() { return total; },
+    };
+}
+
+// "bytes 0-99/1234" -> { start: 0, end: 99, total: 1234 }; "bytes */1234" -> { start: null, end: null, total: 1234 }
+function parseContentRange(value) {
+    const m = /^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/i.exec((value || '').trim());
+    if (!m) return null;
+    return {
+        start: m[1] === undefined ? null : Number(m[1]),
+        end: m[2] === undefined ? null : Number(m[2]),
+        total: m[3] === '*' ? null : Number(m[3]),
+    };
+}
+// Example (browser):
+// const dl = createResumableDownload('/videos/lecture.mp4', {
+//   chunkSize: 4 * 1024 * 1024,
+//   onProgress: p => { bar.value = p.percent; },
+// });
+// pauseButton.onclick = () => dl.pause();
+// resumeButton.onclick = () => dl.resume();
+// cancelButton.onclick = () => dl.abort();
+// dl.done.then(blob => { video.src = URL.createObjectURL(blob); });
+
+// --------------------------
+// 19) In-flight deduplication of identical GETs
+// --------------------------
+// Five widgets calling fetchGet('/api/stats') at the same moment -> one network request, one shared
+// result. Only GET/HEAD are coalesced, and only while the first request is still pending (this is not
+// a cache). Requests match on method + final URL (after interceptors) + responseType + all request
+// headers except per-request noise (X-Request-Id, traceparent...), so calls with different API keys,
+// Range or Accept headers never share an answer.
+// Opt out per request with `dedupe: false`. Requests with their own AbortSignal are never shared,
+// because aborting one caller must not cancel the others; neither are streams (one reader only).
+// Each caller gets its own copy of the parsed JSON (or ArrayBuffer), so editing one result leaves the
+// others alone; strings and Blobs can't be edited and are shared as they are.
+const NOISE_HEADERS = ['x-request-id', 'x-correlation-id', 'traceparent', 'tracestate'];
+const inFlightRequests = new Map();
+
+function ownCopy(data) {
+    if (data instanceof ArrayBuffer) return data.slice(0);
+    return isJsonBody(data) ? copyEntry(data) : data; // copyEntry: see 20
+}
+
+// Stable "name=value" list of the headers that can change the answer.
+function headerKey(headers) {
+    const all = headersToObject(new Headers(headers || {})); // lower-cased names
+    return Object.keys(all)
+        .filter(name => !NOISE_HEADERS.includes(name))
+        .sort()
+        .map(name => `${name}=${all[name]}`);
+}
+
+function dedupeKey(cfg, timeout) {
+    const method = (cfg.method || 'GET').toUpperCase();
+    if (cfg.dedupe === false || cfg.signal || (method !== 'GET' && method !== 'HEAD')) return null;
+    if (cfg.responseType === 'stream') return null; // a ReadableStream can only be read once
+    return JSON.stringify([method, cfg.url, cfg.responseType || 'auto', timeout, headerKey(cfg.headers)]);
+}
+// Example:
+// Promise.all([getTodo(1), getTodo(1), fetchGet('https://jsonplaceholder.typicode.com/todos/1')]); // 1 request
+// fetchGet('/api/stats', { dedupe: false }); // always hits the network
+
+// --------------------------
+// 20) Response cache — TTL, ETag / Last-Modified revalidation, stale-while-revalidate
+// --------------------------
+// Opt-in for GETs: fetchGet(url, { cache }), createHttpClient({ cache }), or set config.cache in a
+// request interceptor to cover getTodo and friends. Only a createResponseCache() object counts: a string
+// is fetch()'s own cache mode ({ cache: 'no-store' }) and goes to fetch untouched, skipping this cache.
+//   fresh (younger than ttl)                   -> served from the cache, no request
+//   stale, within staleWhileRevalidate window  -> served from the cache, refreshed in the background
+//   stale, has ETag / Last-Modified            -> conditional request (If-None-Match / If-Modified-Since);
+//                                                 304 Not Modified keeps the cached body
+//   otherwise                                  -> normal request, result stored
+// Cache-Control from the server wins: no-store is never cached, max-age replaces ttl.
+// Only JSON/text bodies are cached (Blobs and streams can't be persisted).
+// Stores are async { get, set, delete, clear } objects, so the same cache can live in memory (LRU,
+// default), localStorage, IndexedDB or a JSON file under Node.
+function createResponseCache({ store = createMemoryStore(), ttl = 60000, staleWhileRevalidate = 0 } = {}) {
+    return {
+        store,
+        ttl,
+        staleWhileRevalidate,
+        revalidating: new Map(), // key -> promise, one background refresh per entry
+        clear: () => store.clear(),
+    };
+}
+
+const isResponseCache = value => value !== null && typeof value === 'object' && !!value.store;
+
+// Same header rule as dedupe (see 19): an entry stored for one API key / token is never
+// served to a request carrying another.
+function cacheKey(cfg) {
+    return JSON.stringify([cfg.url, cfg.responseType || 'auto', headerKey(cfg.headers)]);
+}
+
+// run(task): the scheduler / rate limiter / circuit breaker wrapper from performRequest, applied only
+// to the requests this makes, never to lookups.
+async function fetchWithCache(cfg, timeout, run = task => task()) {
+    const { cache } = cfg;
+    const key = cacheKey(cfg);
+    const entry = await cache.store.get(key);
+    const now = Date.now();
+    if (entry && now < entry.expiresAt) return cachedResult(entry, cfg);
+    if (entry && now < entry.expiresAt + cache.staleWhileRevalidate) {
+        if (!cache.revalidating.has(key)) {
+            const refresh = revalidate(cfg, timeout, key, entry, run)
+                .catch(() => { /* keep serving the stale copy; the next request tries again */ })
+                .finally(() => cache.revalidating.delete(key));
+            cache.revalidating.set(key, refresh);
+        }
+        return cachedResult(entry, cfg);
+    }
+    return revalidate(cfg, timeout, key, entry, run);
+}
+
+async function revalidate(cfg, timeout, key, entry, run) {
+    const { cache } = cfg;
+    const headers = { ...cfg.headers };
+    if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    const { resp, data } = await run(async () => {
+        const res = await sendFetch(cfg.url, { ...toFetchInit(cfg), headers }, timeout);
+        // parsed inside run(), so the circuit breaker sees HTTP errors too
+        return res.status === 304 && entry ? { resp: res } : { resp: res, data: await handleResponse(res, cfg) };
+    });
+
+    if (resp.status === 304 && entry) {
+        const refreshed = { ...entry, expiresAt: Date.now() + freshFor(resp.headers, cache.ttl) };
+        await cache.store.set(key, refreshed);
+        return cachedResult(refreshed, cfg);
+    }
+    const result = { data, status: resp.status, statusText: resp.statusText, headers: headersToObject(resp.headers), config: cfg };
+    const cacheControl = (resp.headers.get('Cache-Control') || '').toLowerCase();
+    const serializable = data === null || typeof data !== 'object' || isJsonBody(data);
+    if (serializable && !cacheControl.includes('no-store')) {
+        await cache.store.set(key, {
+            data,
+            status: resp.status,
+            statusText: resp.statusText,
+            headers: result.headers,
+            etag: resp.headers.get('ETag'),
+            lastModified: resp.headers.get('Last-Modified'),
+            expiresAt: Date.now() + freshFor(resp.headers, cache.ttl),
+        });
+    }
+    return result;
+}
+
+function freshFor(headers, ttl) {
+    const m = /max-age=(\d+)/i.exec(headers.get('Cache-Control') || '');
+    return m ? Number(m[1]) * 1000 : ttl;
+}
+
+function cachedResult(entry, cfg) {
+    return { data: entry.data, status: entry.status, statusText: entry.statusText, headers: entry.headers, config: cfg, cached: true };
+}
+
+// Stores that keep objects in memory hand out and keep copies, like the serializing ones
+// (localStorage, IndexedDB) do: a caller editing its result must not change the cached one.
+const copyEntry = value => {
+    if (value === undefined) return value;
+    return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+};
+
+// In-memory LRU: a Map keeps insertion order, so re-inserting on read moves a key to the "recent" end.
+function createMemoryStore({ maxEntries = 100 } = {}) {
+    const map = new Map();
+    return {
+        async get(key) {
+            if (!map.has(key)) return undefined;
+            const entry = map.get(key);
+            map.delete(key);
+            map.set(key, entry);
+            return copyEntry(entry);
+        },
+        async set(key, entry) {
+            map.delete(key);
+            map.set(key, copyEntry(entry));
+            while (map.size > maxEntries) map.delete(map.keys().next().value); // evict least recently used
+        },
+        async delete(key) { map.delete(key); },
+        async clear() { map.clear(); },
+    };
+}
+
+// Browser: survives reloads; ~5MB limit, so quota errors just skip caching.
+function createLocalStorageStore({ prefix = 'http-cache:' } = {}) {
+    return {
+        async get(key) {
+            const raw = localStorage.getItem(prefix + key);
+            return raw ? JSON.parse(raw) : undefined;
+        },
+        async set(key, entry) {
+            try { localStorage.setItem(prefix + key, JSON.stringify(entry)); } catch (e) { /* quota exceeded */ }
+        },
+        async delete(key) { localStorage.removeItem(prefix + key); },
+        async clear() {
+            Object.keys(localStorage).filter(k => k.startsWith(prefix)).forEach(k => localStorage.removeItem(k));
+        },
+    };
+}
+
+// Browser: larger quota than localStorage, stores structured data directly.
+function createIndexedDbStore({ dbName = 'http-cache', storeName = 'responses' } = {}) {
+    let dbPromise = null;
+    const open = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }));
+    const run = async (mode, fn) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    };
+    return {
+        get: key => run('readonly', s => s.get(key)),
+        set: (key, entry) => run('readwrite', s => s.put(entry, key)),
+        delete: key => run('readwrite', s => s.delete(key)),
+        clear: () => run('readwrite', s => s.clear()),
+    };
+}
+
+// Node: the whole cache is one JSON file, loaded on first use; writes are queued so they never overlap.
+function createFileStore(filePath) {
+    const fs = require('fs').promises;
+    let loading = null;
+    let writing = Promise.resolve();
+    // one shared read: concurrent first calls must not each start from an empty object
+    const load = () => loading || (loading = fs.readFile(filePath, 'utf8').then(JSON.parse).catch(() => ({})));
+    const save = data => {
+        writing = writing.catch(() => { /* a failed write doesn't block later ones */ })
+            .then(() => fs.writeFile(filePath, JSON.stringify(data)));
+        return writing;
+    };
+    return {
+        async get(key) { return copyEntry((await load())[key]); },
+        async set(key, entry) {
+            const data = await load();
+            data[key] = copyEntry(entry);
+            return save(data);
+        },
+        async delete(key) {
+            const data = await load();
+            delete data[key];
+            return save(data);
+        },
+        async clear() {
+            const data = await load();
+            Object.keys(data).forEach(key => delete data[key]);
+            return save(data);
+        },
+    };
+}
+// Example:
+// const cache = createResponseCache({ ttl: 30000, staleWhileRevalidate: 5 * 60000 });
+// fetchGet('https://pokeapi.co/api/v2/pokemon/ditto', { cache });          // network
+// fetchGet('https://pokeapi.co/api/v2/pokemon/ditto', { cache });          // instant, from memory
+// const api = createHttpClient({ baseUrl: 'https://pokeapi.co/api/v2',
+//   cache: createResponseCache({ store: createIndexedDbStore() }) });
+// interceptors.request.use(config => { config.cache = cache; });           // cache every GET helper
+// Node: createResponseCache({ store: createFileStore('./.http-cache.json') })
+
+// --------------------------
+// 21) Query-string serialization and parsing (Rails / PHP style)
+// --------------------------
+// URLSearchParams only knows flat string pairs: { ids: [1, 2] } becomes "ids=1%2C2" and
+// { filter: { age: 3 } } becomes "filter=%5Bobject+Object%5D". serializeParams flattens first:
+//   arrayFormat 'repeat'   ids=1&ids=2          (default; Express, Go, most REST APIs)
+//               'brackets' ids[]=1&ids[]=2      (Rails, PHP)
+//               'indices'  ids[0]=1&ids[1]=2
+//               'comma'    ids=1,2
+//   nested objects          filter[age]=3&filter[tags][]=a   (always bracket notation)
+//   Date                    ISO string (toISOString)
+//   null / undefined        skipped; with skipNulls: false, null is sent as an empty value
+// parseQuery is the inverse: it rebuilds arrays/objects from the same notations (values stay strings).
+function serializeParams(params = {}, { arrayFormat = 'repeat', skipNulls = true } = {}) {
+    const pairs = [];
+    const add = (key, value) => {
+        if (value === undefined || (value === null && skipNulls)) return;
+        if (value === null) pairs.push([key, '']);
+        else if (value instanceof Date) pairs.push([key, value.toISOString()]);
+        else if (Array.isArray(value)) addArray(key, value);
+        else if (typeof value === 'object') Object.keys(value).forEach(k => add(`${key}[${k}]`, value[k]));
+        else pairs.push([key, String(value)]);
+    };
+    const addArray = (key, items) => {
+        // objects/arrays inside arrays need an index to stay unambiguous
+        const nested = items.some(v => v !== null && typeof v === 'object' && !(v instanceof Date));
+        if (arrayFormat === 'comma' && !nested) {
+            const values = items.filter(v => v != null).map(v => (v instanceof Date ? v.toISOString() : String(v)));
+            if (values.length) pairs.push([key, values.join(',')]);
+            return;
+        }
+        items.forEach((v, i) => {
+            if (nested || arrayFormat === 'indices') add(`${key}[${i}]`, v);
+            else if (arrayFormat === 'brackets') add(`${key}[]`, v);
+            else add(key, v); // repeat
+        });
+    };
+    Object.keys(params || {}).forEach(k => add(k, params[k]));
+    return pairs;
+}
+
+function parseQuery(query, { arrayFormat = 'repeat' } = {}) {
+    const search = String(query || '').replace(/^[^?]*\?/, '').replace(/#.*$/, '');
+    const result = {};
+    new URLSearchParams(search).forEach((value, rawKey) => {
+        // "filter[tags][]" -> ['filter', 'tags', '']
+        const path = rawKey.replace(/\]/g, '').split('[');
+        if (path.some(k => k === '__proto__' || k === 'constructor' || k === 'prototype')) return;
+        const parsed = arrayFormat === 'comma' && value.includes(',') ? value.split(',') : value;
+        assignPath(result, path, parsed);
+    });
+    return result;
+}
+
+function assignPath(target, path, value) {
+    let node = target;
+    path.forEach((segment, i) => {
+        const key = segment === '' && Array.isArray(node) ? node.length : segment;
+        if (i === path.length - 1) {
+            // own keys only: "toString=1" must not pick up Object.prototype.toString
+            if (Array.isArray(node) || !Object.prototype.hasOwnProperty.call(node, key)) node[key] = value;
+            else node[key] = [].concat(node[key], value); // repeated key: ids=1&ids=2
+            return;
+        }
+        if (node[key] === undefined || typeof node[key] !== 'object') {
+            const next = path[i + 1];
+            node[key] = next === '' || /^\d+$/.test(next) ? [] : {};
+        }
+        node = node[key];
+    });
+}
+// Example:
+// buildUrl('/api/pets', { ids: [1, 2], filter: { age: 3, tags: ['a'] }, since: new Date(0), q: null },
+//   { arrayFormat: 'brackets' });
+// -> "http://localhost/api/pets?ids%5B%5D=1&ids%5B%5D=2&filter%5Bage%5D=3&filter%5Btags%5D%5B%5D=a&since=1970-01-01T00%3A00%3A00.000Z"
+// parseQuery('?ids[]=1&ids[]=2&filter[age]=3') -> { ids: ['1', '2'], filter: { age: '3' } }
+// const rails = createHttpClient({ baseUrl: 'https://example.com/api', queryOptions: { arrayFormat: 'brackets' } });
+
+// --------------------------
+// 22) URL path templates — '/todos/:id', '/pokemon/{name}'
+// --------------------------
+// Building paths with `${id}` lets user input change the path: "ditto/../../evil" or "a?b=c" would
+// be sent as-is. expandPath percent-encodes every value (encodeURIComponent, plus "." / ".." which
+// URLs would otherwise resolve as directories) and throws a TypeError when a required one is missing.
+//   :name  or {name}     required
+//   :name? or {name?}    optional — the segment (and its leading "/") disappears when missing
+// :name only counts at the start of a path segment, so "https://host:8080", "user:pass@" and
+// "/documents:batchGet" are left alone.
+// resolveUrl also joins the result onto a base URL; absolute templates ignore the base. It always
+// expands, so createHttpClient's api.get('/todos/:id') without pathParams throws instead of sending ":id".
+function expandPath(template, params = {}) {
+    return String(template).replace(/(^|\/):([A-Za-z_]\w*)(\?)?|(\/?)\{([A-Za-z_]\w*)(\?)?\}/g,
+        (match, colonSlash, colonName, colonOpt, braceSlash, braceName, braceOpt) => {
+            const name = colonName || braceName;
+            const slash = colonName ? colonSlash : braceSlash;
+            const value = params[name];
+            if (value === undefined || value === null || value === '') {
+                if (colonOpt || braceOpt) return '';
+                throw new TypeError(`Missing required path parameter "${name}" for "${template}"`);
+            }
+            return slash + encodePathSegment(value);
+        });
+}
+
+function encodePathSegment(value) {
+    const encoded = encodeURIComponent(String(value));
+    return encoded === '.' || encoded === '..' ? encoded.replace(/\./g, '%2E') : encoded;
+}
+
+function resolveUrl(baseUrl, template, params = {}) {
+    return joinUrl(baseUrl, expandPath(template, params));
+}
+// Example:
+// resolveUrl('https://pokeapi.co/api/v2', '/pokemon/{name}', { name: 'Mr. Mime' })
+//   -> "https://pokeapi.co/api/v2/pokemon/Mr.%20Mime"
+// expandPath('/users/:userId/posts/:postId?', { userId: 7 }) -> "/users/7/posts"
+// expandPath('/todos/:id', {})                               -> TypeError: Missing required path parameter "id"
+// api.get('/todos/:id', { pathParams: { id: 1 } });          // createHttpClient option
+
+// --------------------------
+// 23) Declarative API definitions -> generated client methods
+// --------------------------
+// Describe an API once as a plain object and get api.<resource>.<method>() functions that validate
+// input, build the URL (path templates, see 22), call createHttpClient and validate the response.
+//   resources: { todos: { path: '/todos', methods: { get: { path: '/todos/:id', ... } } } }
+//   method spec: { method = 'GET', path = resource path, params, body, response, mapError }
+// A resource without `methods` gets the usual five: list, get, create, update (PUT), remove.
+// Calling convention:
+//   no body  (GET, DELETE):     api.todos.get({ id: 1, ...query }, requestOptions)
+//   with body (POST, PUT, PATCH): api.todos.create(body, { ...pathParams and query }, requestOptions)
+// Arguments that appear in the path are path params; everything else becomes the query string.
+// Schemas are deliberately tiny:
+//   'string' | 'number' | 'boolean' | 'object' | 'array' | 'any', with '?' for optional ('number?')
+//   { field: schema, ... }   object with these fields (extra fields are allowed)
+//   [schema]                 array of schema
+//   value => true | 'message' custom check
+// Bad input rejects with ValidationError before any request is sent; a response that doesn't
+// match rejects with ValidationError (where: 'response'). HTTP failures stay HttpErrors with
+// err.operation ('todos.get') added, unless mapError(err, { operation, args }) returns something else.
+class ValidationError extends Error {
+    constructor(where, operation, problems) {
+        super(`Invalid ${where} for ${operation}: ${problems.join('; ')}`);
+        this.name = 'ValidationError';
+        this.where = where;       // 'params' | 'body' | 'response'
+        this.operation = operation;
+        this.problems = problems; // ['id: expected number, got string', ...]
     }
+}
+
+const DEFAULT_RESOURCE_METHODS = {
+    list: { method: 'GET' },
+    get: { method: 'GET', path: ':id' },
+    create: { method: 'POST' },
+    update: { method: 'PUT', path: ':id' },
+    remove: { method: 'DELETE', path: ':id' },
 };
 
+function createApi({ resources = {}, mapError, ...clientConfig } = {}) {
+    const client = createHttpClient(clientConfig);
+    const api = { client };
+    Object.keys(resources).forEach(name => {
+        const resource = resources[name];
+        const methods = resource.methods || DEFAULT_RESOURCE_METHODS;
+        api[name] = {};
+        Object.keys(methods).forEach(methodName => {
+            const spec = methods[methodName];
+            // relative method paths (':id') hang off the resource path; absolute ones ('/x') stand alone
+            const path = !spec.path ? resource.path
+                : spec.path.startsWith('/') || /^https?:/i.test(spec.path) ? spec.path
+                : joinUrl(resource.path || '', spec.path);
+            api[name][methodName] = createOperation(client, `${name}.${methodName}`, { ...spec, path }, spec.mapError || mapError);
+        });
+    });
+    return api;
+}
+
+function createOperation(client, operation, spec, mapError) {
+    const method = (spec.method || 'GET').toUpperCase();
+    const hasBody = ['POST', 'PUT', 'PATCH'].includes(method);
+    const pathNames = (String(spec.path).match(/:[A-Za-z_]\w*|\{[A-Za-z_]\w*/g) || []).map(t => t.replace(/^[:{]/, ''));
+
+    return async function (...callArgs) {
+        const [body, args = {}, options = {}] = hasBody ? callArgs : [undefined, ...callArgs];
+        check('params', args, spec.params);
+        if (hasBody) check('body', body, spec.body);
+
+        const pathParams = {};
+        const query = {};
+        Object.keys(args).forEach(k => { (pathNames.includes(k) ? pathParams : query)[k] = args[k]; });
+
+        let data;
+        try {
+            data = await client.request(method, spec.path, {
+                ...options,
+                pathParams,
+                params: { ...query, ...(options.params || {}) },
+                body,
+            });
+        } catch (err) {
+            if (err instanceof HttpError) {
+                err.operation = operation;
+                if (mapError) throw (await mapError(err, { operation, args })) || err;
+            }
+            throw err;
+        }
+        check('response', data, spec.response);
+        return data;
+    };
+
+    function check(where, value, schema) {
+        if (schema === undefined) return;
+        const problems = [];
+        validateSchema(value, schema, where, problems);
+        if (problems.length) throw new ValidationError(where, operation, problems);
+    }
+}
+
+function validateSchema(value, schema, path, problems) {
+    if (typeof schema === 'function') {
+        const result = schema(value);
+        if (result !== true) problems.push(`${path}: ${typeof result === 'string' ? result : 'failed custom check'}`);
+        return;
+    }
+    if (typeof schema === 'string') {
+        const optional = schema.endsWith('?');
+        const type = optional ? schema.slice(0, -1) : schema;
+        if (value === undefined || value === null) {
+            if (!optional) problems.push(`${path}: is required`);
+            return;
+        }
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (type !== 'any' && actual !== type) problems.push(`${path}: expected ${type}, got ${actual}`);
+        return;
+    }
+    if (Array.isArray(schema)) {
+        if (!Array.isArray(value)) {
+            problems.push(`${path}: expected array`);
+            return;
+        }
+        value.forEach((item, i) => validateSchema(item, schema[0], `${path}[${i}]`, problems));
+        return;
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${path}: expected object`);
+        return;
+    }
+    Object.keys(schema).forEach(key => validateSchema(value[key], schema[key], `${path}.${key}`, problems));
+}
+// Example:
+// const todoShape = { id: 'number', title: 'string', completed: 'boolean' };
+// const api = createApi({
+//   baseUrl: 'https://jsonplaceholder.typicode.com',
+//   timeout: 5000,
+//   resources: {
+//     todos: {
+//       path: '/todos',
+//       methods: {
+//         list:   { params: { userId: 'number?' }, response: [todoShape] },
+//         get:    { path: ':id', params: { id: 'number' }, response: todoShape },
+//         create: { method: 'POST', body: { title: 'string', completed: 'boolean?' }, response: todoShape },
+//       },
+//     },
+//     users: { path: '/users' }, // list / get / create / update / remove
+//   },
+//   mapError: (err, { operation }) => (err.status === 404 ? new Error(`${operation}: not found`) : err),
+// });
+// const todo = await api.todos.get({ id: 1 });
+// const mine = await api.todos.list({ userId: 1 });
+// await api.todos.create({ title: 'learn fetch' });
+
+// --------------------------
+// 24) Mock server — offline testing of fetch and XHR helpers (works under Node)
+// --------------------------
+// install() swaps globalThis.fetch and globalThis.XMLHttpRequest for in-process fakes, so every helper
+// in this file runs unchanged against canned routes; restore() puts the real ones back.
+//   mock.get('/todos/:id', req => ({ body: { id: Number(req.params.id) } }))   dynamic (may be async)
+//   mock.post('https://httpbin.org/post', { status: 201, body: { ok: true } }) canned
+// Routes match method + path (same ':id' / '{name}' syntax as 22); a route starting with http(s)
+// also matches the origin. The query string is ignored for matching and exposed as req.query.
+// Response spec: { status = 200, statusText, headers, body, delay, networkError, abort }
+//   body: object -> JSON, string -> text/plain, Blob / ArrayBuffer / Uint8Array -> bytes
+//   delay: ms before answering (setTimeout, so fake timers work); aborting the request's signal
+//          meanwhile rejects with AbortError like real fetch. delay: Infinity never answers.
+//   networkError: true -> fetch rejects with TypeError / XHR fires onerror (our helpers: NetworkError)
+//   abort: true -> the request is aborted (AbortError / XHR onabort)
+// Route options: { times } — route is used up after n matches.
+// Every request is recorded in mock.requests: { method, url, path, query, params, headers, body }.
+// Unmatched requests fail like a network error whose cause names the request (or go to the real
+// network with { onUnmatched: 'passthrough' }, or get their answer from { onUnmatched: req => spec }).
+function createMockServer({ onUnmatched = 'error' } = {}) {
+    const routes = [];
+    const requests = [];
+    let originals = null;
+
+    function route(method, pattern, response, { times = Infinity } = {}) {
+        routes.push({ method: method.toUpperCase(), pattern, response, remaining: times });
+        return mock;
+    }
+
+    function findRoute(method, url) {
+        const u = new URL(url);
+        for (const r of routes) {
+            if (r.remaining <= 0 || (r.method !== '*' && r.method !== method)) continue;
+            const absolute = /^https?:\/\//i.test(r.pattern);
+            const patternUrl = absolute ? new URL(r.pattern) : null;
+            if (absolute && patternUrl.origin !== u.origin) continue;
+            const params = matchPath(absolute ? patternUrl.pathname : r.pattern, u.pathname);
+            if (params) return { route: r, params };
+        }
+        return null;
+    }
+
+    // Shared by fake fetch and fake XHR: record, match, wait, build the response spec.
+    async function dispatch(method, url, headers, body, signal) {
+        const u = new URL(url);
+        const req = {
+            method, url,
+            path: u.pathname,
+            query: parseQuery(u.search),
+            params: {},
+            headers: headersToObject(headers instanceof Headers ? headers : new Headers(headers || {})),
+            body: typeof body === 'string' ? parseBodyText(body) : body,
+        };
+        requests.push(req);
+        const match = findRoute(method, url);
+        let response = onUnmatched;
+        if (match) {
+            match.route.remaining--;
+            req.params = match.params;
+            response = match.route.response;
+        } else if (onUnmatched === 'passthrough') {
+            return { passthrough: true };
+        } else if (typeof onUnmatched !== 'function') {
+            throw new TypeError('fetch failed', { cause: new Error(`No mock route matches ${method} ${url}`) });
+        }
+        const spec = typeof response === 'function' ? await response(req) : response;
+        const { delay = 0, networkError = false, abort = false } = spec || {};
+        if (delay) await sleep(delay === Infinity ? 2 ** 31 - 1 : delay, signal);
+        if (signal && signal.aborted) throw abortReason(signal);
+        if (abort) throw new DOMException('The operation was aborted.', 'AbortError');
+        if (networkError) throw new TypeError('fetch failed', { cause: new Error(`Simulated network error for ${method} ${url}`) });
+        return normalizeMockResponse(spec || {});
+    }
+
+    async function mockFetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        const method = (init.method || (input && input.method) || 'GET').toUpperCase();
+        const result = await dispatch(method, url, init.headers, init.body, init.signal);
+        if (result.passthrough) return originals.fetch(input, init);
+        const nullBody = [204, 205, 304].includes(result.status) || method === 'HEAD';
+        const resp = new Response(nullBody ? null : result.body, {
+            status: result.status, statusText: result.statusText, headers: result.headers,
+        });
+        Object.defineProperty(resp, 'url', { value: url }); // real fetch sets resp.url
+        return resp;
+    }
+
+    const mock = {
+        requests,
+        route,
+        get: (pattern, response, options) => route('GET', pattern, response, options),
+        post: (pattern, response, options) => route('POST', pattern, response, options),
+        put: (pattern, response, options) => route('PUT', pattern, response, options),
+        patch: (pattern, response, options) => route('PATCH', pattern, response, options),
+        delete: (pattern, response, options) => route('DELETE', pattern, response, options),
+        any: (pattern, response, options) => route('*', pattern, response, options),
+        fetch: mockFetch,
+        XMLHttpRequest: createMockXhrClass(dispatch, () => originals),
+        install() {
+            if (originals) return mock;
+            originals = { fetch: globalThis.fetch, XMLHttpRequest: globalThis.XMLHttpRequest };
+            globalThis.fetch = mockFetch;
+            globalThis.XMLHttpRequest = mock.XMLHttpRequest;
+            return mock;
+        },
+        restore() {
+            if (!originals) return;
+            globalThis.fetch = originals.fetch;
+            if (originals.XMLHttpRequest === undefined) delete globalThis.XMLHttpRequest;
+            else globalThis.XMLHttpRequest = originals.XMLHttpRequest;
+            originals = null;
+        },
+        reset() {
+            routes.length = 0;
+            requests.length = 0;
+        },
+    };
+    return mock;
+}
+
+// '/todos/:id' vs '/todos/7' -> { id: '7' }; no match -> null
+function matchPath(pattern, pathname) {
+    const names = [];
+    const source = pattern.split(/(\/?(?::[A-Za-z_]\w*\??|\{[A-Za-z_]\w*\??\}))/).map(part => {
+        const m = /^(\/?)(?::([A-Za-z_]\w*)(\?)?|\{([A-Za-z_]\w*)(\?)?\})$/.exec(part);
+        if (!m) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        names.push(m[2] || m[4]);
+        const slash = m[1] ? '\\/' : '';
+        return m[3] || m[5] ? `(?:${slash}([^/]+))?` : `${slash}([^/]+)`;
+    }).join('');
+    const match = new RegExp(`^${source}/?$`).exec(pathname);
+    if (!match) return null;
+    const params = {};
+    names.forEach((name, i) => { if (match[i + 1] !== undefined) params[name] = decodeURIComponent(match[i + 1]); });
+    return params;
+}
+
+function normalizeMockResponse({ status = 200, statusText = '', headers = {}, body = null }) {
+    const h = { ...headers };
+    const has = name => Object.keys(h).some(k => k.toLowerCase() === name);
+    let payload = body;
+    const raw = body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body) ||
+        (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream); // streams go to new Response() as-is
+    if (body !== null && typeof body === 'object' && !raw) {
+        payload = JSON.stringify(body);
+        if (!has('content-type')) h['Content-Type'] = 'application/json';
+    } else if (typeof body === 'string' && !has('content-type')) {
+        h['Content-Type'] = 'text/plain';
+    }
+    return { status, statusText, headers: h, body: payload };
+}
+
+function bodySize(body) {
+    if (body === null || body === undefined) return 0;
+    if (typeof body === 'string') return new TextEncoder().encode(body).length;
+    if (body instanceof Blob) return body.size;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+    return 0; // FormData etc.: size unknown, like a browser before encoding
+}
+
+// A minimal XMLHttpRequest driven by the mock routes: enough for sendXhr, upload() and the XHR helpers.
+function createMockXhrClass(dispatch, getOriginals) {
+    return class MockXMLHttpRequest {
+        constructor() {
+            this.readyState = 0;
+            this.status = 0;
+            this.statusText = '';
+            this.responseType = '';
+            this.response = null;
+            this.responseURL = '';
+            this.upload = {};
+            this._headers = {};
+            this._responseHeaders = {};
+            this._controller = new AbortController();
+        }
+        open(method, url) {
+            this._method = method.toUpperCase();
+            this._url = new URL(url, typeof location !== 'undefined' ? location.origin : 'http://localhost').toString();
+            this.readyState = 1;
+        }
+        setRequestHeader(name, value) { this._headers[name] = value; }
+        getResponseHeader(name) { return this._responseHeaders[name.toLowerCase()] || null; }
+        getAllResponseHeaders() {
+            return Object.keys(this._responseHeaders).map(k => `${k}: ${this._responseHeaders[k]}`).join('\r\n');
+        }
+        get responseText() {
+            if (this.responseType !== '' && this.responseType !== 'text') throw new Error('InvalidStateError: responseText needs responseType "" or "text"');
+            return this.response === null ? '' : this.response;
+        }
+        abort() { this._controller.abort(); }
+        send(body = null) {
+            const total = bodySize(body);
+            if (this.upload.onprogress && total) this.upload.onprogress({ lengthComputable: true, loaded: total, total });
+            dispatch(this._method, this._url, this._headers, body, this._controller.signal)
+                .then(async result => {
+                    if (result.passthrough) throw new Error('onUnmatched: "passthrough" is not supported for XMLHttpRequest');
+                    const resp = new Response([204, 205, 304].includes(result.status) ? null : result.body, { headers: result.headers });
+                    this.status = result.status;
+                    this.statusText = result.statusText;
+                    this.responseURL = this._url;
+                    this._responseHeaders = headersToObject(resp.headers);
+                    this.readyState = 2; // HEADERS_RECEIVED
+                    if (this.onreadystatechange) this.onreadystatechange();
+                    const size = bodySize(result.body);
+                    this.response = await readXhrResponse(resp, this.responseType);
+                    if (this.onprogress) this.onprogress({ lengthComputable: true, loaded: size, total: size });
+                    this.readyState = 4;
+                    if (this.onreadystatechange) this.onreadystatechange();
+                    if (this.onload) this.onload();
+                })
+                .catch(err => {
+                    this.readyState = 4;
+                    if (err.name === 'AbortError') { if (this.onabort) this.onabort(); }
+                    else if (this.onerror) this.onerror(err);
+                })
+                .finally(() => { if (this.onloadend) this.onloadend(); });
+        }
+    };
+}
+
+async function readXhrResponse(resp, responseType) {
+    switch (responseType) {
+        case 'json': return parseBodyText(await resp.text()); // real XHR gives null for invalid JSON
+        case 'blob': return resp.blob();
+        case 'arraybuffer': return resp.arrayBuffer();
+        default: return resp.text();
+    }
+}
+// Example (Node test, no network):
+// const mock = createMockServer().install();
+// mock.get('https://jsonplaceholder.typicode.com/todos/:id', req => ({ body: { id: Number(req.params.id), title: 'mocked' } }));
+// mock.get('/slow', { delay: 5000, body: 'late' });
+// mock.get('/down', { networkError: true }, { times: 2 });
+// const todo = await getTodo(3);                        // { id: 3, title: 'mocked' }
+// await fetchWithTimeout('http://localhost/slow', 100)  // TimeoutError
+// console.log(mock.requests.map(r => `${r.method} ${r.path}`));
+// mock.restore();
+
+// --------------------------
+// 25) Transports — XHR in browsers, http/https in Node, fetch as a last resort
+// --------------------------
+// The XHR-style helpers (xhrGet, xhrPostForm, quick.xhrGetCb, upload) don't call XMLHttpRequest
+// directly; they ask for a transport. Every transport has the same contract as sendXhr:
+//   send(config, { responseType, onUploadProgress, signal })
+//     -> Promise<{ data, status, statusText, headers, config }>, rejecting with HttpError / NetworkError / AbortError
+// Auto-detection order: 'xhr' (browsers, or the mock server of 24) -> 'node' -> 'fetch'.
+// setTransport('node' | 'xhr' | 'fetch' | customTransport) pins one; setTransport(null) goes back to auto.
+//   xhr:   real upload progress events
+//   node:  http/https request; body written in 64KB slices so upload progress works too;
+//          follows up to 5 redirects for GET/HEAD like a browser would
+//   fetch: no upload progress — reports a single 100% event once the body was sent
+const transports = {
+    xhr: { name: 'xhr', isAvailable: () => typeof XMLHttpRequest !== 'undefined', send: sendXhr },
+    node: {
+        name: 'node',
+        isAvailable: () => typeof process !== 'undefined' && !!(process.versions && process.versions.node) && typeof require === 'function',
+        send: sendNodeHttp,
+    },
+    fetch: { name: 'fetch', isAvailable: () => typeof fetch === 'function', send: sendFetchTransport },
+};
+let pinnedTransport = null;
+
+function setTransport(transport) {
+    if (typeof transport === 'string' && !transports[transport]) throw new TypeError(`Unknown transport "${transport}"`);
+    pinnedTransport = typeof transport === 'string' ? transports[transport] : transport;
+}
+
+function getTransport() {
+    if (pinnedTransport) return pinnedTransport;
+    const found = [transports.xhr, transports.node, transports.fetch].find(t => t.isAvailable());
+    if (!found) throw new Error('No HTTP transport available (need XMLHttpRequest, Node http or fetch)');
+    return found;
+}
+
+function sendViaTransport(config, options) {
+    return getTransport().send(config, options);
+}
+
+async function sendFetchTransport(config, { responseType = '', onUploadProgress, signal } = {}) {
+    const { url, ...init } = config;
+    const resp = await sendFetch(url, { ...init, signal: signal || init.signal });
+    if (onUploadProgress) onUploadProgress({ loaded: 1, total: 1, percent: 100 });
+    if (!resp.ok) throw await httpErrorFromResponse(resp, config);
+    const data = await readXhrResponse(resp, responseType); // same mapping as xhr.responseType (see 24)
+    return { data, status: resp.status, statusText: resp.statusText, headers: headersToObject(resp.headers), config };
+}
+
+async function sendNodeHttp(config, { responseType = '', onUploadProgress, signal } = {}, redirects = 0) {
+    const { url, method } = config;
+    if (signal && signal.aborted) throw abortReason(signal);
+    // Response does the encoding for us: FormData -> multipart with boundary, URLSearchParams, Blob...
+    const encoded = config.body === undefined || config.body === null ? null : new Response(config.body);
+    const body = encoded ? Buffer.from(await encoded.arrayBuffer()) : null;
+    const headers = { ...config.headers };
+    if (encoded && encoded.headers.get('Content-Type') && !hasHeader(headers, 'Content-Type')) {
+        headers['Content-Type'] = encoded.headers.get('Content-Type');
+    }
+    if (body) headers['Content-Length'] = String(body.length);
+    const span = httpMetrics.begin({ method, url, headers, body }, 'node'); // see 34
+    if (span && span.traceparent) headers.traceparent = span.traceparent;
+
+    const lib = require(url.startsWith('https:') ? 'https' : 'http');
+    const resp = await new Promise((resolve, reject) => {
+        const req = lib.request(url, { method, headers, signal }, resolve);
+        req.on('error', err => reject(err.name === 'AbortError' ? abortReason(signal) : new NetworkError({ method, url, cause: err })));
+        writeWithProgress(req, body, onUploadProgress);
+    }).catch(err => {
+        if (span) span.end({ error: err });
+        throw err;
+    });
+    if (span) span.headers(resp.statusCode);
+
+    const location = resp.headers.location;
+    if ([301, 302, 303, 307, 308].includes(resp.statusCode) && location && (method === 'GET' || method === 'HEAD') && redirects < 5) {
+        resp.resume(); // discard the redirect body
+        if (span) span.end({ status: resp.statusCode });
+        return sendNodeHttp({ ...config, url: new URL(location, url).toString() }, { responseType, signal }, redirects + 1);
+    }
+
+    const chunks = [];
+    let received = 0;
+    try {
+        for await (const chunk of resp) {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (span) span.progress(received);
+        }
+    } catch (err) {
+        const error = err.name === 'AbortError' ? abortReason(signal) : new NetworkError({ method, url, cause: err });
+        if (span) span.end({ error });
+        throw error;
+    }
+    if (span) span.end({ status: resp.statusCode });
+    const buffer = Buffer.concat(chunks);
+    const responseHeaders = {};
+    Object.keys(resp.headers).forEach(name => {
+        const value = resp.headers[name];
+        responseHeaders[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+    });
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+        throw new HttpError({
+            status: resp.statusCode, statusText: resp.statusMessage, url, method,
+            headers: responseHeaders, body: parseBodyText(buffer.toString('utf8')),
+        });
+    }
+    const data = await readXhrResponse(new Response(buffer, { headers: responseHeaders }), responseType);
+    return { data, status: resp.statusCode, statusText: resp.statusMessage, headers: responseHeaders, config };
+}
+
+function writeWithProgress(req, body, onUploadProgress) {
+    if (!body) return req.end();
+    const total = body.length;
+    let offset = 0;
+    const next = () => {
+        if (offset >= total) return req.end();
+        const chunk = body.subarray(offset, offset + 64 * 1024);
+        offset += chunk.length;
+        const loaded = offset;
+        req.write(chunk, err => {
+            if (err) return; // the 'error' event rejects the request
+            if (onUploadProgress) onUploadProgress({ loaded, total, percent: (loaded / total) * 100 });
+            next();
+        });
+    };
+    next();
+}
+// Example (Node):
+// xhrGet('https://jsonplaceholder.typicode.com/todos/1', d => console.log(d), e => console.error(e));  // via http/https
+// xhrPostForm('https://httpbin.org/post', { name: 'Alice', file: new Blob(['hi']) }, p => console.log(p.percent), console.log, console.error);
+// setTransport('fetch'); // force a transport, e.g. in an environment without node:http
+
+// --------------------------
+// 26) Request scheduler — concurrency limits (global + per host), priorities, cancellation
+// --------------------------
+// A bulk sync that fires 500 requests at once floods the API (and the browser only runs ~6 per host
+// anyway, the rest just sit in a hidden queue). A scheduler makes that queue explicit:
+//   maxConcurrent   requests running at the same time, all hosts together
+//   maxPerHost      requests running at the same time per host (hostLimits: { 'pokeapi.co': 1 } overrides)
+//   priority        'high' | 'normal' | 'low' or any number (bigger runs first); FIFO within a level
+//   signal          aborting it removes a *queued* request (rejects with AbortError); a running one
+//                   is cancelled by fetch itself as usual
+//   stats()         { active, queued, hosts: { 'pokeapi.co': { active, queued } } }; onChange gets the same
+// Use it with fetchGet(url, { scheduler, priority }), createHttpClient({ scheduler }), or a request
+// interceptor; or schedule any async task directly: scheduler.schedule(() => doWork(), { host, priority }).
+const PRIORITIES = { high: 10, normal: 0, low: -10 };
+
+function createRequestScheduler({ maxConcurrent = 6, maxPerHost = Infinity, hostLimits = {}, onChange } = {}) {
+    const queue = []; // sorted: priority desc, then arrival order
+    const activeByHost = new Map();
+    let active = 0;
+    let seq = 0;
+
+    const limitFor = host => (host in hostLimits ? hostLimits[host] : maxPerHost);
+    const notify = () => { if (onChange) onChange(stats()); };
+
+    function stats() {
+        const hosts = {};
+        const entry = host => hosts[host] || (hosts[host] = { active: 0, queued: 0 });
+        activeByHost.forEach((count, host) => { entry(host).active = count; });
+        queue.forEach(job => { entry(job.host).queued++; });
+        return { active, queued: queue.length, hosts };
+    }
+
+    function pump() {
+        for (let i = 0; i < queue.length && active < maxConcurrent;) {
+            const job = queue[i];
+            if ((activeByHost.get(job.host) || 0) >= limitFor(job.host)) { i++; continue; } // host busy, try next
+            queue.splice(i, 1);
+            start(job);
+        }
+    }
+
+    function start(job) {
+        active++;
+        activeByHost.set(job.host, (activeByHost.get(job.host) || 0) + 1);
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                active--;
+                const left = activeByHost.get(job.host) - 1;
+                if (left) activeByHost.set(job.host, left);
+                else activeByHost.delete(job.host);
+                pump();
+                notify();
+            });
+    }
+
+    function schedule(task, { host = '', priority = 'normal', signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(abortReason(signal));
+            const job = {
+                task, host, signal, resolve, reject,
+                priority: typeof priority === 'number' ? priority : PRIORITIES[priority] || 0,
+                seq: seq++,
+            };
+            if (signal) {
+                job.onAbort = () => {
+                    const i = queue.indexOf(job);
+                    if (i === -1) return; // already running
+                    queue.splice(i, 1);
+                    reject(abortReason(signal));
+                    notify();
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            let at = queue.findIndex(other => other.priority < job.priority);
+            if (at === -1) at = queue.length;
+            queue.splice(at, 0, job);
+            pump();
+            notify();
+        });
+    }
+
+    // Reject everything still waiting (e.g. user left the page); running requests finish normally.
+    function clear(reason = new DOMException('The operation was aborted.', 'AbortError')) {
+        queue.splice(0).forEach(job => {
+            if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+            job.reject(reason);
+        });
+        notify();
+    }
+
+    return { schedule, stats, clear };
+}
+
+function hostOf(url) {
+    try { return new URL(url, typeof location !== 'undefined' ? location.origin : 'http://localhost').host; } catch (e) { return ''; }
+}
+// Example:
+// const scheduler = createRequestScheduler({ maxConcurrent: 8, maxPerHost: 2, onChange: s => console.log('queued', s.queued) });
+// const api = createHttpClient({ baseUrl: 'https://pokeapi.co/api/v2', scheduler });
+// const ids = Array.from({ length: 150 }, (_, i) => i + 1);
+// const pokemon = await Promise.all(ids.map(id => api.get('/pokemon/:id', { pathParams: { id }, priority: 'low' })));
+// api.get('/pokemon/ditto', { priority: 'high' }); // jumps the queue
+
+// --------------------------
+// 27) Client-side rate limiting — token bucket per host, pause on 429 / Retry-After
+// --------------------------
+// Token bucket: each host has a bucket holding up to `burst` tokens, refilled at `rate` tokens per
+// `interval` ms. A request takes one token or waits until one is available — short bursts are fine,
+// the long-run average stays under the limit.
+// When the server still says 429 Too Many Requests (or 503 with Retry-After), the whole host is
+// paused for Retry-After (or `pauseMs`), then the request is sent again (up to `maxRetries` times).
+// Every decision is an event, for logging: limiter.on('wait' | 'acquire' | 'pause' | 'resume', fn)
+//   wait    { host, delay, reason: 'tokens' | 'paused' }
+//   acquire { host, waited }
+//   pause   { host, until, status, retryAfter }
+//   resume  { host }
+// Use it with fetchGet(url, { rateLimiter }), createHttpClient({ rateLimiter }), or rateLimiter.run(task, { host }).
+
+// Tiny event emitter (works in browsers and Node alike); on() returns an "unsubscribe" function.
+function createEmitter() {
+    const listeners = new Map();
+    const off = (event, fn) => {
+        const list = listeners.get(event);
+        if (list && list.includes(fn)) list.splice(list.indexOf(fn), 1);
+    };
+    const on = (event, fn) => {
+        if (!listeners.has(event)) listeners.set(event, []);
+        listeners.get(event).push(fn);
+        return () => off(event, fn);
+    };
+    return {
+        on,
+        off,
+        once(event, fn) {
+            const stop = on(event, payload => { stop(); fn(payload); });
+            return stop;
+        },
+        emit(event, payload) {
+            (listeners.get(event) || []).slice().forEach(fn => fn(payload));
+        },
+    };
+}
+
+function createRateLimiter({ rate = 10, interval = 1000, burst = rate, hosts = {}, pauseMs = 1000, maxRetries = 3 } = {}) {
+    const emitter = createEmitter();
+    const buckets = new Map();
+
+    function bucketFor(host) {
+        if (!buckets.has(host)) {
+            const limits = { rate, interval, burst, ...(hosts[host] || {}) };
+            buckets.set(host, { ...limits, tokens: limits.burst, updatedAt: Date.now(), pausedUntil: 0 });
+        }
+        return buckets.get(host);
+    }
+
+    function refill(bucket, now) {
+        const elapsed = now - bucket.updatedAt;
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + (elapsed * bucket.rate) / bucket.interval);
+        bucket.updatedAt = now;
+    }
+
+    async function acquire(host = '', signal) {
+        const bucket = bucketFor(host);
+        const startedAt = Date.now();
+        while (true) {
+            const now = Date.now();
+            if (bucket.pausedUntil > now) {
+                const delay = bucket.pausedUntil - now;
+                emitter.emit('wait', { host, delay, reason: 'paused' });
+                await sleep(delay, signal);
+                continue;
+            }
+            refill(bucket, now);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                emitter.emit('acquire', { host, waited: now - startedAt });
+                return;
+            }
+            const delay = Math.ceil(((1 - bucket.tokens) * bucket.interval) / bucket.rate);
+            emitter.emit('wait', { host, delay, reason: 'tokens' });
+            await sleep(delay, signal);
+        }
+    }
+
+    function pauseHost(host, ms, status) {
+        const bucket = bucketFor(host);
+        const until = Date.now() + ms;
+        if (until <= bucket.pausedUntil) return; // already paused for longer
+        bucket.pausedUntil = until;
+        bucket.tokens = 0; // start slowly after the pause
+        emitter.emit('pause', { host, until, status, retryAfter: ms });
+        const timer = setTimeout(() => {
+            if (bucket.pausedUntil === until) emitter.emit('resume', { host });
+        }, ms);
+        if (timer.unref) timer.unref(); // Node: a long Retry-After alone mustn't keep the process alive
+    }
+
+    // Runs task() under the limit; on 429 pauses the host and tries again.
+    async function run(task, { host = '', signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await acquire(host, signal);
+            try {
+                return await task();
+            } catch (err) {
+                const retryAfter = err instanceof HttpError ? parseRetryAfter(err.headers['retry-after']) : null;
+                const throttled = err instanceof HttpError && (err.status === 429 || (err.status === 503 && retryAfter !== null));
+                if (!throttled) throw err;
+                pauseHost(host, retryAfter !== null ? retryAfter : pauseMs, err.status);
+                if (attempt >= maxRetries) throw err;
+            }
+        }
+    }
+
+    return { run, acquire, pauseHost, on: emitter.on, off: emitter.off, once: emitter.once };
+}
+// Example:
+// const limiter = createRateLimiter({ rate: 100, interval: 60000, burst: 10, hosts: { 'pokeapi.co': { rate: 20 } } });
+// limiter.on('wait', e => console.log(`throttled ${e.host} for ${e.delay}ms (${e.reason})`));
+// limiter.on('pause', e => console.warn(`${e.host} said ${e.status}, pausing ${e.retryAfter}ms`));
+// const poke = createHttpClient({ baseUrl: 'https://pokeapi.co/api/v2', rateLimiter: limiter });
+
+// --------------------------
+// 28) Circuit breaker — fail fast while an endpoint is down
+// --------------------------
+// Without it, every call to a dead backend waits for the full timeout. The breaker counts
+// consecutive failures per host (or per endpoint) and moves through three states:
+//   closed     normal; `failureThreshold` failures in a row -> open
+//   open       calls fail immediately with CircuitOpenError, no request is sent; after `cooldown` ms -> half-open
+//   half-open  up to `halfOpenMaxCalls` trial requests go through; `successThreshold` successes -> closed,
+//              any failure -> open again (with a fresh cooldown)
+// Failures are NetworkError / TimeoutError and 5xx HttpErrors (4xx means the server is alive);
+// pass isFailure(err) to change that. keyBy: 'host' (default) | 'endpoint' (method + URL without query) | (req) => key.
+// CircuitOpenError is not an HttpError, so the retry policy (see 13) doesn't retry it.
+// Events (named after the new state): breaker.on('open' | 'half-open' | 'closed', ({ key, failures }) => ...).
+class CircuitOpenError extends Error {
+    constructor(key, retryAt) {
+        super(`Circuit open for ${key}; not sending requests until ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.key = key;
+        this.retryAt = retryAt; // timestamp (ms) when a trial request will be allowed
+    }
+}
+
+function createCircuitBreaker({
+    failureThreshold = 5,
+    cooldown = 30000,
+    halfOpenMaxCalls = 1,
+    successThreshold = 1,
+    keyBy = 'host',
+    isFailure = err => err instanceof NetworkError || (err instanceof HttpError && err.status >= 500),
+} = {}) {
+    const emitter = createEmitter();
+    const circuits = new Map();
+
+    function keyFor(req) {
+        if (typeof keyBy === 'function') return keyBy(req);
+        if (keyBy === 'endpoint') {
+            const u = new URL(req.url, typeof location !== 'undefined' ? location.origin : 'http://localhost');
+            return `${(req.method || 'GET').toUpperCase()} ${u.origin}${u.pathname}`;
+        }
+        return hostOf(req.url);
+    }
+
+    function circuitFor(key) {
+        if (!circuits.has(key)) circuits.set(key, { state: 'closed', failures: 0, successes: 0, openedAt: 0, trials: 0 });
+        return circuits.get(key);
+    }
+
+    function moveTo(key, circuit, state) {
+        circuit.state = state;
+        circuit.successes = 0;
+        if (state === 'open') circuit.openedAt = Date.now();
+        if (state === 'closed') circuit.failures = 0;
+        emitter.emit(state, { key, failures: circuit.failures });
+    }
+
+    async function run(task, req = {}) {
+        const key = keyFor(req);
+        const circuit = circuitFor(key);
+        if (circuit.state === 'open') {
+            if (Date.now() - circuit.openedAt < cooldown) throw new CircuitOpenError(key, circuit.openedAt + cooldown);
+            moveTo(key, circuit, 'half-open');
+        }
+        const trial = circuit.state === 'half-open';
+        if (trial) {
+            if (circuit.trials >= halfOpenMaxCalls) throw new CircuitOpenError(key, Date.now());
+            circuit.trials++;
+        }
+        try {
+            const result = await task();
+            if (circuit.state === 'half-open') {
+                circuit.successes++;
+                if (circuit.successes >= successThreshold) moveTo(key, circuit, 'closed');
+            } else {
+                circuit.failures = 0;
+            }
+            return result;
+        } catch (err) {
+            if (isFailure(err)) {
+                circuit.failures++;
+                if (circuit.state === 'half-open' || (circuit.state === 'closed' && circuit.failures >= failureThreshold)) {
+                    moveTo(key, circuit, 'open');
+                }
+            }
+            throw err;
+        } finally {
+            if (trial) circuit.trials--;
+        }
+    }
+
+    return {
+        run,
+        state: key => circuitFor(key).state,
+        reset(key) {
+            if (key === undefined) circuits.clear();
+            else circuits.delete(key);
+        },
+        on: emitter.on,
+        off: emitter.off,
+        once: emitter.once,
+    };
+}
+// Example:
+// const breaker = createCircuitBreaker({ failureThreshold: 3, cooldown: 10000 });
+// breaker.on('open', e => console.warn(`${e.key} looks down, failing fast`));
+// const api = createHttpClient({ baseUrl: 'https://jsonplaceholder.typicode.com', timeout: 5000, circuitBreaker: breaker });
+// api.get('/todos/1').catch(err => {
+//   if (err instanceof CircuitOpenError) showBanner('Service unavailable, retrying at ' + new Date(err.retryAt));
+// });
+
+// --------------------------
+// 29) Pagination — async iterators over items or pages
+// --------------------------
+// Same idea as addAsyncGenerator in functions.js: an async generator yields values as they arrive,
+// and `for await` consumes them. paginate() fetches the next page only when the loop asks for more,
+// so `break` stops the requests too.
+//   style 'next'    body has the next page URL          (PokeAPI: { next, results }; getNext(body))
+//         'offset'  ?offset=0&limit=20, ?offset=20...   (stops on a short page or offset >= body.count)
+//         'cursor'  ?cursor=<value from the last page>  (getCursor(body), default next_cursor / nextCursor)
+//         'link'    Link: <...?page=3>; rel="next"      (GitHub style, RFC 8288)
+//   mode  'items' (default) yields each item; 'pages' yields { items, data, headers, page, url }
+//   getItems(body)  default: the body if it is an array, else body.results / items / data
+//   maxPages, signal (AbortSignal: cancels the current request and stops the iteration)
+//   params, headers, requestOptions (cache, scheduler, rateLimiter... see 20, 26-28)
+async function* paginate(url, options = {}) {
+    const {
+        style = 'next', mode = 'items', maxPages = Infinity, signal,
+        params = {}, headers = {}, requestOptions = {},
+        pageSize = 20, offsetParam = 'offset', limitParam = 'limit', cursorParam = 'cursor',
+        getItems = defaultPageItems,
+        getNext = body => (body && body.next) || null,
+        getCursor = body => (body ? body.next_cursor ?? body.nextCursor ?? null : null),
+    } = options;
+
+    let pageUrl = url;
+    let offset = Number(params[offsetParam]) || 0;
+    let cursor = null;
+    let page = 0;
+    while (pageUrl && page < maxPages) {
+        if (signal && signal.aborted) throw abortReason(signal);
+        let requestUrl = pageUrl;
+        if (page === 0 || style === 'offset' || style === 'cursor') {
+            // 'next' / 'link' URLs from the server already carry their own query string
+            const query = { ...params };
+            if (style === 'offset') Object.assign(query, { [offsetParam]: offset, [limitParam]: pageSize });
+            if (style === 'cursor' && cursor !== null) query[cursorParam] = cursor;
+            requestUrl = buildUrl(pageUrl, query);
+        }
+        const res = await performRequest({ ...requestOptions, url: requestUrl, headers, signal }, { full: true });
+        page++;
+        const items = getItems(res.data);
+        if (mode === 'pages') yield { items, data: res.data, headers: res.headers, page, url: requestUrl };
+        else yield* items;
+
+        if (style === 'offset') {
+            offset += items.length;
+            const total = res.data && typeof res.data.count === 'number' ? res.data.count : Infinity;
+            if (items.length < pageSize || offset >= total) pageUrl = null;
+        } else if (style === 'cursor') {
+            cursor = getCursor(res.data);
+            if (cursor === null || cursor === undefined || cursor === '') pageUrl = null;
+        } else {
+            const next = style === 'link' ? parseLinkHeader(res.headers.link).next : getNext(res.data);
+            pageUrl = next ? new URL(next, requestUrl).toString() : null;
+        }
+    }
+}
+
+function defaultPageItems(body) {
+    if (Array.isArray(body)) return body;
+    if (!body || typeof body !== 'object') return [];
+    return body.results || body.items || body.data || [];
+}
+
+// '<https://api.github.com/x?page=2>; rel="next", <...?page=5>; rel="last"' -> { next: '...', last: '...' }
+function parseLinkHeader(header) {
+    const links = {};
+    String(header || '').split(/,(?=\s*<)/).forEach(part => {
+        const m = /<([^>]*)>(.*)/.exec(part.trim());
+        if (!m) return;
+        const rel = /;\s*rel="?([^";]+)"?/i.exec(m[2]);
+        if (rel) rel[1].split(/\s+/).forEach(name => { links[name.toLowerCase()] = m[1]; });
+    });
+    return links;
+}
+// Example:
+// for await (const p of paginate('https://pokeapi.co/api/v2/pokemon', { params: { limit: 100 }, maxPages: 3 })) {
+//   console.log(p.name);
+// }
+// const controller = new AbortController();
+// for await (const page of paginate('https://api.github.com/repos/nodejs/node/issues',
+//   { style: 'link', mode: 'pages', signal: controller.signal })) {
+//   render(page.items);
+//   if (page.page === 5) break;
+// }
+
+// --------------------------
+// 30) Streaming: Server-Sent Events and NDJSON as async iterables
+// --------------------------
+// fetchWithDownloadProgress reads resp.body chunk by chunk only to count bytes. The same reader can
+// decode text as it arrives and cut it into records:
+//   streamNdjson(url)  one JSON value per line ("JSON lines"); blank lines are skipped, a bad line
+//                      throws a SyntaxError naming the line number
+//   streamSse(url)     text/event-stream, parsed like the browser's EventSource: yields
+//                      { type, data, id } (type defaults to 'message'); reconnects when the stream ends
+//                      or the network drops, after `retryDelay` ms (the server can change it with
+//                      "retry:"), sending Last-Event-ID so the server can resume. HTTP errors, a wrong
+//                      Content-Type and 204 No Content stop it, as with EventSource.
+// Both accept { headers, signal, requestOptions } and run through the usual pipeline (interceptors,
+// auth, rate limiting...). Leaving the for-await loop (break / return) closes the connection.
+async function* readTextChunks(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder(); // stream: true keeps multi-byte characters split across chunks intact
+    let finished = false;
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            yield decoder.decode(value, { stream: true });
+        }
+        finished = true;
+        const rest = decoder.decode();
+        if (rest) yield rest;
+    } finally {
+        if (!finished) reader.cancel().catch(() => { /* already closed */ });
+    }
+}
+
+// Splits on \n, \r\n or \r (all three are valid line endings in SSE).
+async function* readLines(stream) {
+    let buffer = '';
+    for await (const chunk of readTextChunks(stream)) {
+        buffer += chunk;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        buffer = lines.pop();
+        // a trailing \r may be the first half of \r\n: hold that line back (with its \r) until the next chunk
+        if (buffer === '' && chunk.endsWith('\r')) buffer = lines.pop() + '\r';
+        yield* lines;
+    }
+    if (buffer.endsWith('\r')) yield buffer.slice(0, -1); // the stream ended on a bare \r
+    else if (buffer) yield buffer;
+}
+
+function openStream(url, { headers = {}, signal, requestOptions = {} } = {}) {
+    // dedupe: false — two consumers can't share one ReadableStream
+    return performRequest(
+        { ...requestOptions, url, headers, signal, responseType: 'stream', dedupe: false },
+        { full: true }
+    );
+}
+
+async function* streamNdjson(url, options = {}) {
+    const res = await openStream(url, {
+        ...options,
+        headers: { Accept: 'application/x-ndjson, application/jsonl, application/json', ...toPlainHeaders(options.headers) },
+    });
+    if (!res.data) return; // 204 / empty body
+    let lineNo = 0;
+    for await (const line of readLines(res.data)) {
+        lineNo++;
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (e) {
+            throw new SyntaxError(`Invalid JSON on line ${lineNo} of ${url}: ${e.message}`);
+        }
+    }
+}
+
+// Parses one event stream (no reconnecting); yields raw { event, data, id, retry } records.
+async function* parseSse(stream) {
+    let data = [];
+    let event = '';
+    let id;
+    let retry;
+    for await (const line of readLines(stream)) {
+        if (line === '') {
+            // blank line = dispatch; an event without data lines is dropped (but id/retry still count)
+            if (data.length) yield { event: event || 'message', data: data.join('\n'), id, retry };
+            else if (id !== undefined || retry !== undefined) yield { event: null, data: null, id, retry };
+            data = []; event = ''; id = undefined; retry = undefined;
+            continue;
+        }
+        if (line.startsWith(':')) continue; // comment / keep-alive
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+        if (field === 'data') data.push(value);
+        else if (field === 'event') event = value;
+        else if (field === 'id' && !value.includes('\0')) id = value;
+        else if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+    }
+}
+
+async function* streamSse(url, options = {}) {
+    const { signal, reconnect = true, maxRetries = Infinity } = options;
+    let retryDelay = options.retryDelay || 3000;
+    let lastEventId = options.lastEventId || '';
+    let failures = 0;
+    while (true) {
+        const headers = { Accept: 'text/event-stream', 'Cache-Control': 'no-cache', ...toPlainHeaders(options.headers) };
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+        let res;
+        try {
+            res = await openStream(url, { ...options, headers });
+        } catch (err) {
+            // only "could not connect" is worth retrying; HTTP errors and aborts are final
+            if (!(err instanceof NetworkError) || !reconnect || ++failures > maxRetries) throw err;
+            await sleep(retryDelay, signal);
+            continue;
+        }
+        if (res.status === 204 || !res.data) return; // server says: stop reconnecting
+        if (!/^text\/event-stream/i.test(res.headers['content-type'] || '')) {
+            res.data.cancel().catch(() => {});
+            throw new TypeError(`Expected text/event-stream from ${url}, got "${res.headers['content-type'] || ''}"`);
+        }
+        failures = 0;
+        try {
+            for await (const record of parseSse(res.data)) {
+                if (record.id !== undefined) lastEventId = record.id;
+                if (record.retry !== undefined) retryDelay = record.retry;
+                if (record.event) yield { type: record.event, data: record.data, id: lastEventId };
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            // connection dropped mid-stream: reconnect below
+        }
+        if (!reconnect) return;
+        await sleep(retryDelay, signal); // stream ended or dropped: reconnect like EventSource
+    }
+}
+// Example:
+// const controller = new AbortController();
+// for await (const msg of streamSse('/api/notifications', { signal: controller.signal })) {
+//   if (msg.type === 'price') updatePrice(JSON.parse(msg.data));
+// }
+// for await (const row of streamNdjson('/api/export.ndjson')) table.addRow(row);
+
+// --------------------------
+// 31) WebSocket client — see WebSockets.js
+// --------------------------
+// createSocket (reconnect, heartbeat, outbound queue, request/response) and its in-memory test server
+// createMockSocketServer live in WebSockets.js, next to this file. They reuse computeBackoff (13),
+// createEmitter (27) and the error classes (14) from here.
+
+// --------------------------
+// 32) GraphQL client — errors, persisted queries, batching
+// --------------------------
+// A GraphQL server answers 200 with { data, errors } even when the query failed, so fetchPostJson
+// happily returns the errors as data. createGraphQLClient(url, options).request(query, variables, opts)
+// POSTs { query, variables, operationName } and resolves with `data`, or rejects with GraphQLError:
+//   err.errors  the server's errors array ({ message, path, locations, extensions })
+//   err.data    partial data, if the server returned any (null otherwise)
+//   err.cause   the HttpError when the server also used a 4xx/5xx status
+// HTTP and network failures stay HttpError / NetworkError / TimeoutError (see 14).
+// options: { headers, timeout, retry, scheduler, rateLimiter, circuitBreaker } as for createHttpClient (12),
+// whose interceptors are exposed as client.interceptors, plus:
+//   persistedQueries  true = "automatic persisted queries": send only the SHA-256 hash of the query in
+//                     extensions.persistedQuery; if the server answers PersistedQueryNotFound, send
+//                     again with the full query (the server stores it for next time).
+//   batch             true or { maxSize = 10, interval = 0 }: operations issued within `interval` ms
+//                     (0 = the same tick) go out as one request with an array body; the server answers
+//                     with an array in the same order. Calls with their own `signal` or `headers` are
+//                     sent on their own, because one HTTP request can only be cancelled as a whole.
+class GraphQLError extends Error {
+    constructor({ errors = [], data = null, operationName, cause } = {}) {
+        const first = errors[0] ? errors[0].message : 'Invalid GraphQL response';
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        super((operationName ? `${operationName}: ` : '') + first + more);
+        this.name = 'GraphQLError';
+        this.errors = errors;
+        this.data = data;
+        if (operationName) this.operationName = operationName;
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+// Web Crypto: a global in browsers and Node 20+; Node 18 only has it as require('crypto').webcrypto.
+// Also used by tracing (see 34) and the outbox (see 36).
+const webCrypto = () => globalThis.crypto || require('crypto').webcrypto;
+
+async function sha256Hex(text) {
+    const digest = await webCrypto().subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function persistedQueryError(result) {
+    const errors = (result && result.errors) || [];
+    const has = (message, code) => errors.some(e => e.message === message || (e.extensions && e.extensions.code === code));
+    if (has('PersistedQueryNotSupported', 'PERSISTED_QUERY_NOT_SUPPORTED')) return 'unsupported';
+    if (has('PersistedQueryNotFound', 'PERSISTED_QUERY_NOT_FOUND')) return 'missing';
+    return null;
+}
+
+function createGraphQLClient(url, { persistedQueries = false, batch = false, ...httpConfig } = {}) {
+    const http = createHttpClient(httpConfig);
+    const batching = batch && { maxSize: 10, interval: 0, ...(batch === true ? {} : batch) };
+    const hashes = new Map(); // query text -> sha256 hex
+    let usePersisted = persistedQueries;
+    let queue = [];
+    let timer = null;
+
+    // One HTTP request for one or more operations; always resolves with an array of results.
+    async function send(bodies, options) {
+        const single = bodies.length === 1;
+        let payload;
+        let cause;
+        try {
+            payload = await http.post(url, single ? bodies[0] : bodies, options);
+        } catch (err) {
+            // GraphQL over HTTP may pair { errors } with a 4xx/5xx status: still a GraphQL answer
+            if (!(err instanceof HttpError) || !err.body || typeof err.body !== 'object') throw err;
+            payload = err.body;
+            cause = err;
+        }
+        const results = single && !Array.isArray(payload) ? [payload] : payload;
+        if (!Array.isArray(results) || results.length !== bodies.length) {
+            if (cause) throw cause; // an error body that isn't a GraphQL answer (a proxy's 502 page...)
+            throw new TypeError(`Expected ${bodies.length} GraphQL result(s) from ${url}, got ${JSON.stringify(payload)}`);
+        }
+        return results.map(result => ({ result, cause }));
+    }
+
+    async function execute(ops, options) {
+        const answers = await send(ops.map(op => op.body), options);
+        const retry = ops.map((op, i) => i).filter(i => ops[i].body.query === undefined && persistedQueryError(answers[i].result));
+        if (retry.length) {
+            if (retry.some(i => persistedQueryError(answers[i].result) === 'unsupported')) usePersisted = false;
+            const again = await send(retry.map(i => ({ ...ops[i].body, query: ops[i].query })), options);
+            retry.forEach((i, k) => { answers[i] = again[k]; });
+        }
+        return answers;
+    }
+
+    function toData({ result, cause }, operationName) {
+        if (!result || typeof result !== 'object') throw new GraphQLError({ operationName, cause });
+        if (Array.isArray(result.errors) && result.errors.length) {
+            throw new GraphQLError({ errors: result.errors, data: result.data === undefined ? null : result.data, operationName, cause });
+        }
+        if (cause) throw cause; // an HTTP error without GraphQL errors is just an HTTP error
+        return result.data;
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        const ops = queue;
+        queue = [];
+        execute(ops).then(
+            answers => ops.forEach((op, i) => {
+                try { op.resolve(toData(answers[i], op.body.operationName)); } catch (err) { op.reject(err); }
+            }),
+            err => ops.forEach(op => op.reject(err))
+        );
+    }
+
+    function enqueue(op) {
+        return new Promise((resolve, reject) => {
+            queue.push({ ...op, resolve, reject });
+            if (queue.length >= batching.maxSize) flush();
+            else if (!timer) timer = setTimeout(flush, batching.interval);
+        });
+    }
+
+    // opts: { operationName, headers, signal }
+    async function request(query, variables, { operationName, headers, signal } = {}) {
+        const body = { query };
+        if (variables !== undefined) body.variables = variables;
+        if (operationName) body.operationName = operationName;
+        if (usePersisted) {
+            if (!hashes.has(query)) hashes.set(query, await sha256Hex(query));
+            delete body.query;
+            body.extensions = { persistedQuery: { version: 1, sha256Hash: hashes.get(query) } };
+        }
+        const op = { query, body };
+        if (batching && !signal && !headers) return enqueue(op);
+        const [answer] = await execute([op], { headers, signal });
+        return toData(answer, operationName);
+    }
+
+    return { request, interceptors: http.interceptors };
+}
+// Example:
+// const gql = createGraphQLClient('https://countries.trevorblades.com/graphql', { batch: true, persistedQueries: true });
+// const [a, b] = await Promise.all([  // one HTTP request
+//   gql.request('query ($code: ID!) { country(code: $code) { name } }', { code: 'JO' }),
+//   gql.request('{ continents { name } }'),
+// ]);
+// try {
+//   await gql.request('{ nope }');
+// } catch (err) {
+//   if (err instanceof GraphQLError) console.error(err.errors.map(e => e.message), err.data);
+// }
+
+// --------------------------
+// 33) Record & replay — HAR / JSON fixtures from real traffic
+// --------------------------
+// createRecorder() wraps globalThis.fetch: every request made while it is installed (getTodo, fetchGet,
+// createHttpClient, plain fetch() like the Pokémon page...) is passed to the real network and
+// recorded. The XHR-style helpers (see 25) are switched to the fetch transport meanwhile, so they are
+// recorded too (no real upload progress while recording). export('json' | 'har') or, in Node,
+// save('fixtures/todos.har') writes them out; the format follows the file extension (.har or .json).
+// Recordings keep the decoded body (text, or base64 for binary types) and replace the values of
+// `redactHeaders` (authorization, proxy-authorization, cookie, set-cookie, x-api-key) and of the
+// `redactQuery` URL parameters (api_key, apikey, access_token) with "[redacted]", so fixtures can be
+// committed. Request and response bodies get the same treatment: in JSON (at any depth) and form bodies,
+// the `redactFields` (password, client_secret, token, access_token / accessToken, refresh_token /
+// refreshToken, id_token / idToken) are replaced. Each option replaces its default list; names are
+// case-insensitive. For anything else (XML, a token inside a string...) pass redactBody(entry): it is
+// called with every finished entry and may rewrite entry.requestBody / entry.body.
+//
+// createReplayServer(fixtures) is a mock server (see 24) answering from those recordings, offline and
+// deterministically. fixtures: the exported object, a HAR log, or (Node) a file path.
+// A request matches a recording with the same method and URL (query parameter order ignored, redacted
+// parameters match any value; with { matchBody: true } the text / JSON request body must match too, redacted
+// JSON fields matching any value). Several recordings of the same request are
+// served in order; once used up, the last one keeps being served ({ repeat: false } fails instead).
+// Anything else fails like an unmatched mock route: a NetworkError whose cause (a ReplayMissError)
+// names the request and lists what was recorded for that path.
+class ReplayMissError extends Error {
+    constructor(method, url, candidates = [], bodyDiffers = false) {
+        const hint = candidates.length ? `; recorded for this path: ${candidates.join(', ')}` : '; nothing recorded for this path';
+        super(`No recorded response for ${method} ${url}${bodyDiffers ? ' with this body' : ''}${hint}`);
+        this.name = 'ReplayMissError';
+        this.method = method;
+        this.url = url;
+    }
+}
+
+const TEXT_CONTENT_TYPE = /^text\/|[/+](json|xml|javascript|x-www-form-urlencoded|x-ndjson|event-stream)\b/i;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+}
+
+// '?b=2&a=1' and '?a=1&b=2' are the same request
+function fixtureKey(method, url, redacted = []) {
+    const u = redactUrl(url, redacted);
+    u.searchParams.sort();
+    u.hash = '';
+    return `${method.toUpperCase()} ${u.toString()}`;
+}
+
+// JSON or form-encoded text with the values of the `names` fields replaced by "[redacted]"; other text
+// (and text with nothing to hide) comes back unchanged.
+function redactBodyText(text, contentType, names) {
+    if (typeof text !== 'string' || !text || !names.length) return text;
+    const hidden = name => names.includes(name.toLowerCase());
+    if (/x-www-form-urlencoded/i.test(contentType || '')) {
+        const form = new URLSearchParams(text);
+        const found = [...new Set(Array.from(form.keys()).filter(hidden))];
+        found.forEach(name => form.set(name, '[redacted]'));
+        return found.length ? form.toString() : text;
+    }
+    let found = false;
+    const hide = value => {
+        if (Array.isArray(value)) return value.map(hide);
+        if (value === null || typeof value !== 'object') return value;
+        const out = {};
+        Object.keys(value).forEach(key => {
+            if (hidden(key)) found = true;
+            out[key] = hidden(key) ? '[redacted]' : hide(value[key]);
+        });
+        return out;
+    };
+    let redacted;
+    try { redacted = hide(JSON.parse(text)); } catch (e) { return text; } // not JSON
+    return found ? JSON.stringify(redacted) : text;
+}
+
+// Replaces the values of the `names` query parameters with "[redacted]"; returns a URL object.
+function redactUrl(url, names) {
+    const u = new URL(url);
+    const hidden = [...new Set(Array.from(u.searchParams.keys()).filter(name => names.includes(name.toLowerCase())))];
+    hidden.forEach(name => {
+        const count = u.searchParams.getAll(name).length;
+        u.searchParams.delete(name);
+        for (let i = 0; i < count; i++) u.searchParams.append(name, '[redacted]');
+    });
+    return u;
+}
+
+async function recordBody(body) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string') return body;
+    if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) return null; // can't read it twice
+    return new Response(body).text(); // URLSearchParams, FormData (multipart), Blob, bytes
+}
+
+function createRecorder({
+    redactHeaders = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'],
+    redactQuery = ['api_key', 'apikey', 'access_token'],
+    redactFields = ['password', 'client_secret', 'token', 'access_token', 'accessToken', 'refresh_token', 'refreshToken', 'id_token', 'idToken'],
+    redactBody,
+} = {}) {
+    const hiddenHeaders = redactHeaders.map(name => name.toLowerCase());
+    const hiddenParams = redactQuery.map(name => name.toLowerCase());
+    const hiddenFields = redactFields.map(name => name.toLowerCase());
+    const entries = [];
+    const pending = [];
+    let originals = null;
+    const redact = headers => {
+        const out = {};
+        Object.keys(headers).forEach(name => {
+            out[name] = hiddenHeaders.includes(name.toLowerCase()) ? '[redacted]' : headers[name];
+        });
+        return out;
+    };
+
+    async function capture(entry, init, resp, requestType) {
+        const requestBody = await recordBody(init.body !== undefined ? init.body : null);
+        entry.requestBody = redactBodyText(requestBody, requestType, hiddenFields);
+        const headers = headersToObject(resp.headers);
+        // the body is stored decoded, so these would lie on replay
+        ['content-encoding', 'content-length', 'transfer-encoding'].forEach(name => delete headers[name]);
+        Object.assign(entry, { status: resp.status, statusText: resp.statusText, headers: redact(headers) });
+        const bytes = new Uint8Array(await resp.arrayBuffer());
+        if (TEXT_CONTENT_TYPE.test(headers['content-type'] || '') || !bytes.length) {
+            entry.body = redactBodyText(new TextDecoder().decode(bytes), headers['content-type'], hiddenFields);
+        } else {
+            entry.body = bytesToBase64(bytes);
+            entry.encoding = 'base64';
+        }
+        entry.time = Date.now() - Date.parse(entry.startedAt);
+        if (redactBody) redactBody(entry);
+    }
+
+    function recordingFetch(input, init = {}) {
+        const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+        const method = (init.method || (input && input.method) || 'GET').toUpperCase();
+        const headers = headersToObject(new Headers(init.headers || (input && input.headers) || {}));
+        // entries keep the order requests were *sent* in; bodies are filled in as they arrive
+        const entry = {
+            method,
+            url: hiddenParams.length ? redactUrl(url, hiddenParams).toString() : url, // toHar's queryString follows
+            requestHeaders: redact(headers),
+            startedAt: new Date().toISOString(),
+        };
+        entries.push(entry);
+        const drop = () => entries.splice(entries.indexOf(entry), 1);
+        return originals.fetch(input, init).then(resp => {
+            // clone before the caller starts reading the body
+            // fetch sets the form Content-Type itself for URLSearchParams bodies
+            const requestType = headers['content-type'] || (init.body instanceof URLSearchParams ? 'application/x-www-form-urlencoded' : '');
+            pending.push(capture(entry, init, resp.clone(), requestType).catch(drop));
+            return resp;
+        }, err => {
+            drop(); // failed requests (network error, abort) aren't fixtures
+            throw err;
+        });
+    }
+
+    async function exportFixtures(format = 'json') {
+        await Promise.all(pending);
+        const list = entries.map(entry => ({ ...entry }));
+        return format === 'har' ? toHar(list) : { version: 1, entries: list };
+    }
+
+    const recorder = {
+        entries,
+        install() {
+            if (originals) return recorder;
+            originals = { fetch: globalThis.fetch, transport: pinnedTransport };
+            globalThis.fetch = recordingFetch;
+            setTransport('fetch');
+            return recorder;
+        },
+        restore() {
+            if (!originals) return;
+            globalThis.fetch = originals.fetch;
+            pinnedTransport = originals.transport;
+            originals = null;
+        },
+        export: exportFixtures,
+        // Node only
+        async save(file, format = /\.har$/i.test(file) ? 'har' : 'json') {
+            const data = await exportFixtures(format);
+            await require('fs').promises.writeFile(file, JSON.stringify(data, null, 2));
+            return file;
+        },
+    };
+    return recorder;
+}
+
+const toHarHeaders = headers => Object.keys(headers || {}).map(name => ({ name, value: String(headers[name]) }));
+const fromHarHeaders = list => Object.fromEntries((list || []).map(h => [h.name.toLowerCase(), h.value]));
+
+function toHar(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'AJAX.js', version: '1.0' },
+            entries: entries.map(e => ({
+                startedDateTime: e.startedAt,
+                time: e.time || 0,
+                request: {
+                    method: e.method,
+                    url: e.url,
+                    httpVersion: 'HTTP/1.1',
+                    headers: toHarHeaders(e.requestHeaders),
+                    queryString: Array.from(new URL(e.url).searchParams, ([name, value]) => ({ name, value })),
+                    cookies: [],
+                    headersSize: -1,
+                    bodySize: e.requestBody === null ? 0 : bodySize(e.requestBody),
+                    ...(e.requestBody === null ? {} : {
+                        postData: { mimeType: (e.requestHeaders || {})['content-type'] || '', text: e.requestBody },
+                    }),
+                },
+                response: {
+                    status: e.status,
+                    statusText: e.statusText,
+                    httpVersion: 'HTTP/1.1',
+                    headers: toHarHeaders(e.headers),
+                    cookies: [],
+                    content: {
+                        size: e.encoding === 'base64' ? base64ToBytes(e.body).length : bodySize(e.body),
+                        mimeType: (e.headers || {})['content-type'] || '',
+                        text: e.body,
+                        ...(e.encoding ? { encoding: e.encoding } : {}),
+                    },
+                    redirectURL: '',
+                    headersSize: -1,
+                    bodySize: -1,
+                },
+                cache: {},
+                timings: { send: 0, wait: e.time || 0, receive: 0 },
+            })),
+        },
+    };
+}
+
+function fromHar(har) {
+    return har.log.entries.map(({ request, response, startedDateTime, time }) => ({
+        method: request.method.toUpperCase(),
+        url: request.url,
+        requestHeaders: fromHarHeaders(request.headers),
+        requestBody: request.postData && request.postData.text !== undefined ? request.postData.text : null,
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: fromHarHeaders(response.headers),
+        body: (response.content && response.content.text) || '',
+        ...(response.content && response.content.encoding ? { encoding: response.content.encoding } : {}),
+        startedAt: startedDateTime,
+        time,
+    }));
+}
+
+function createReplayServer(fixtures, { matchBody = false, repeat = true } = {}) {
+    let data = fixtures;
+    if (typeof data === 'string') data = JSON.parse(require('fs').readFileSync(data, 'utf8')); // Node: file path
+    const entries = data.log ? fromHar(data) : data.entries;
+    const byKey = new Map(); // fixtureKey -> { list, next }
+    // parameters the recorder redacted: the value sent now can't be compared, so ignore it
+    const redacted = [...new Set(entries.flatMap(entry => Array.from(new URL(entry.url).searchParams)
+        .filter(([, value]) => value === '[redacted]').map(([name]) => name.toLowerCase())))];
+    entries.forEach(entry => {
+        const key = fixtureKey(entry.method, entry.url, redacted);
+        if (!byKey.has(key)) byKey.set(key, { list: [], next: 0 });
+        byKey.get(key).list.push(entry);
+    });
+
+    // the mock server hands over JSON bodies already parsed, so compare both sides parsed
+    const sameBody = (recorded, sent) => sameJson(recorded === null ? null : parseBodyText(recorded), sent === undefined ? null : sent);
+    const sameJson = (recorded, sent) => {
+        if (recorded === '[redacted]') return true; // the recorder hid it (redactFields): any value fits
+        if (recorded === null || sent === null || typeof recorded !== 'object' || typeof sent !== 'object') return recorded === sent;
+        if (Array.isArray(recorded) !== Array.isArray(sent)) return false;
+        const keys = Object.keys(recorded);
+        return keys.length === Object.keys(sent).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(sent, key) && sameJson(recorded[key], sent[key]));
+    };
+
+    function respond(req) {
+        const slot = byKey.get(fixtureKey(req.method, req.url, redacted));
+        const fits = entry => !matchBody || sameBody(entry.requestBody, req.body);
+        let entry = null;
+        if (slot) {
+            const index = slot.list.findIndex((e, i) => i >= slot.next && fits(e));
+            if (index !== -1) {
+                slot.next = index + 1;
+                entry = slot.list[index];
+            } else if (repeat) {
+                entry = slot.list.filter(fits).pop() || null;
+            }
+        }
+        if (!entry) {
+            const path = new URL(req.url).pathname;
+            const recorded = entries.filter(e => new URL(e.url).pathname === path).map(e => `${e.method} ${e.url}`);
+            throw new ReplayMissError(req.method, req.url, [...new Set(recorded)], !!slot && matchBody); // fetch rejects with it
+        }
+        return {
+            status: entry.status,
+            statusText: entry.statusText,
+            headers: entry.headers,
+            body: entry.encoding === 'base64' ? base64ToBytes(entry.body) : entry.body,
+        };
+    }
+
+    return createMockServer({ onUnmatched: respond });
+}
+// Example (Node):
+// const recorder = createRecorder().install();
+// await getTodo(1);
+// await fetchGet('https://pokeapi.co/api/v2/pokemon/ditto');
+// recorder.restore();
+// await recorder.save('fixtures/demo.har');
+//
+// // later, in a test — no network needed:
+// const replay = createReplayServer('fixtures/demo.har').install();
+// const todo = await getTodo(1);       // same answer as when it was recorded
+// await getTodo(2).catch(err => console.log(err.cause.message)); // No recorded response for GET .../todos/2; ...
+// replay.restore();
+
+// --------------------------
+// 34) Metrics & tracing — timings, bytes, outcome counters, W3C traceparent
+// --------------------------
+// httpMetrics.enable() instruments the three places that talk to the network — sendFetch (fetchGet,
+// fetchPostJson, createHttpClient, cache revalidation, the fetch transport...), sendXhr and
+// sendNodeHttp (xhrGet, xhrPostForm, upload) — so every real request is measured exactly once
+// (each retry attempt and redirect hop counts as its own request). Off by default: no cost.
+// Events, for your own logging: httpMetrics.on('request' | 'response' | 'end', fn)
+//   request   { id, method, url, host, transport, startTime, bytesSent, traceId?, spanId? }
+//   response  same + { status, ttfb }                      headers arrived (ms since start)
+//   end       same + { status, ttfb, duration, bytesReceived, outcome, error? }
+//             outcome: 'success' | 'http_error' (status >= 400) | 'network_error' | 'timeout' | 'aborted'
+// Durations use performance.now(); startTime is a Date.now() timestamp. bytesReceived is the body
+// as the code sees it (fetch decompresses gzip), counted while it is read: for streams (see 30)
+// 'end' comes when the stream is finished or cancelled.
+// httpMetrics.snapshot() -> { requests, inFlight, outcomes: { success: n, ... }, statuses: { 200: n },
+// bytesSent, bytesReceived }; reset() zeroes it.
+// enable({ tracing: true | { sampled, parent, propagate } }) adds a W3C `traceparent` header
+// (00-<trace id>-<span id>-<flags>) to each request, so backends can join their spans to ours:
+//   parent     () => traceparent string of the current operation (e.g. from a <meta> tag); its trace id
+//              is reused, otherwise each request starts a new trace
+//   sampled    true (default) / false -> flags 01 / 00
+//   propagate  (url) => boolean; default: same origin in browsers (a custom header on a cross-origin
+//              request needs CORS approval), everything in Node
+// A traceparent already set by the caller or an interceptor is left alone (and reported).
+const clock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+function randomHex(bytes) {
+    return Array.from(webCrypto().getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function parseTraceparent(value) {
+    const m = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(value || '').trim());
+    if (!m || m[1] === 'ff' || /^0+$/.test(m[2]) || /^0+$/.test(m[3])) return null;
+    return { traceId: m[2], spanId: m[3], flags: m[4] };
+}
+
+function outcomeOf(status, error) {
+    if (error) {
+        if (error instanceof TimeoutError) return 'timeout';
+        if (error instanceof NetworkError) return 'network_error';
+        if (error.name === 'AbortError') return 'aborted';
+        if (!(error instanceof HttpError)) return 'network_error'; // transport failure of another kind
+    }
+    return status >= 400 ? 'http_error' : 'success';
+}
+
+function createHttpMetrics() {
+    const emitter = createEmitter();
+    let tracing = null;
+    let totals = null;
+    let nextId = 1;
+
+    function reset() {
+        totals = { requests: 0, inFlight: 0, outcomes: {}, statuses: {}, bytesSent: 0, bytesReceived: 0 };
+    }
+    reset();
+
+    function trace(url, headers) {
+        if (!tracing || !tracing.propagate(url)) return {};
+        const existing = parseTraceparent(new Headers(headers || {}).get('traceparent'));
+        if (existing) return { traceId: existing.traceId, spanId: existing.spanId };
+        const parent = tracing.parent ? parseTraceparent(tracing.parent()) : null;
+        const traceId = parent ? parent.traceId : randomHex(16);
+        const spanId = randomHex(8);
+        const flags = parent ? parent.flags : (tracing.sampled ? '01' : '00');
+        return { traceId, spanId, traceparent: `00-${traceId}-${spanId}-${flags}` };
+    }
+
+    // Used by sendFetch / sendXhr / sendNodeHttp; null while metrics are off.
+    function begin({ method = 'GET', url, headers, body }, transport) {
+        if (!metrics.enabled) return null;
+        const started = clock();
+        const { traceparent, ...ids } = trace(String(url), headers);
+        const info = {
+            id: nextId++,
+            method: method.toUpperCase(),
+            url: String(url),
+            host: hostOf(String(url)),
+            transport,
+            startTime: Date.now(),
+            bytesSent: bodySize(body),
+            ...ids,
+        };
+        totals.requests++;
+        totals.inFlight++;
+        totals.bytesSent += info.bytesSent;
+        emitter.emit('request', { ...info });
+        let status = 0;
+        let ttfb = null;
+        let received = 0;
+        let ended = false;
+        return {
+            traceparent,
+            headers(code) {
+                if (ttfb !== null) return;
+                status = code;
+                ttfb = clock() - started;
+                emitter.emit('response', { ...info, status, ttfb });
+            },
+            progress(loaded) { received = loaded; },
+            end({ status: code, error } = {}) {
+                if (ended) return;
+                ended = true;
+                status = code || (error && error.status) || status;
+                const outcome = outcomeOf(status, error);
+                totals.inFlight--;
+                totals.bytesReceived += received;
+                totals.outcomes[outcome] = (totals.outcomes[outcome] || 0) + 1;
+                if (status) totals.statuses[status] = (totals.statuses[status] || 0) + 1;
+                emitter.emit('end', {
+                    ...info, status, ttfb, duration: clock() - started, bytesReceived: received, outcome,
+                    ...(error ? { error } : {}),
+                });
+            },
+        };
+    }
+
+    const metrics = {
+        enabled: false,
+        enable({ tracing: traceOptions = false } = {}) {
+            metrics.enabled = true;
+            tracing = traceOptions && {
+                sampled: true,
+                parent: null,
+                propagate: url => typeof location === 'undefined' || new URL(url, location.href).origin === location.origin,
+                ...(traceOptions === true ? {} : traceOptions),
+            };
+            return metrics;
+        },
+        disable() {
+            metrics.enabled = false;
+            tracing = null;
+        },
+        snapshot: () => ({ ...totals, outcomes: { ...totals.outcomes }, statuses: { ...totals.statuses } }),
+        reset,
+        begin,
+        on: emitter.on,
+        off: emitter.off,
+        once: emitter.once,
+    };
+    return metrics;
+}
+
+const httpMetrics = createHttpMetrics();
+
+// fetch resolves when the headers arrive; count the body through a pass-through stream and end the
+// measurement when it has been read to the end (or cancelled, or failed).
+function watchResponseBody(resp, span) {
+    span.headers(resp.status);
+    if (!resp.body) {
+        span.end({ status: resp.status });
+        return resp;
+    }
+    const reader = resp.body.getReader();
+    let received = 0;
+    const body = new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read();
+                if (done) {
+                    span.end({ status: resp.status });
+                    return controller.close();
+                }
+                received += value.byteLength;
+                span.progress(received);
+                controller.enqueue(value);
+            } catch (err) {
+                span.end({ status: resp.status, error: err });
+                controller.error(err);
+            }
+        },
+        cancel(reason) {
+            span.end({ status: resp.status });
+            return reader.cancel(reason);
+        },
+    });
+    const watched = new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+    Object.defineProperty(watched, 'url', { value: resp.url });
+    Object.defineProperty(watched, 'redirected', { value: resp.redirected });
+    return watched;
+}
+// Example:
+// httpMetrics.enable({ tracing: true });
+// httpMetrics.on('end', m => console.log(`${m.method} ${m.url} ${m.status} ${m.outcome} ` +
+//   `ttfb=${m.ttfb && m.ttfb.toFixed(0)}ms total=${m.duration.toFixed(0)}ms ${m.bytesReceived}B trace=${m.traceId}`));
+// await fetchGet('https://jsonplaceholder.typicode.com/todos/1');
+// console.log(httpMetrics.snapshot()); // { requests: 1, inFlight: 0, outcomes: { success: 1 }, statuses: { 200: 1 }, ... }
+
+// --------------------------
+// 35) Authentication — API keys, basic auth, bearer tokens with refresh
+// --------------------------
+// An auth strategy is a plain object { apply(config) -> config, recover?(error, config, send) }, plugged
+// into interceptors (see 15) with useAuth(strategy, options), which returns an "eject" function:
+//   useAuth(strategy)                                          every helper (global interceptors)
+//   useAuth(strategy, { match: 'https://api.example.com/' })   only URLs starting with it (or a RegExp / (url) => boolean)
+//   createHttpClient({ auth: strategy })                       one client (also createGraphQLClient, createApi)
+// Use `match` with global interceptors: otherwise the credentials go to every host you call.
+// Built-in strategies:
+//   apiKeyAuth({ key, name = 'X-API-Key', in: 'header' | 'query' })   key may be a function
+//   basicAuth({ username, password })                                 Authorization: Basic (UTF-8)
+//   bearerAuth({ token, refresh, scheme = 'Bearer', shouldRefresh })
+//       token: string or () => string (sync or async), read before every request — so refresh()
+//       must store the new token where token() looks for it
+//       refresh: async (send) => new token; called on 401 (or when shouldRefresh(err) says so). Requests that
+//       fail together share ONE refresh call; requests starting meanwhile wait for it. Each failed
+//       request is then sent again once with the new token; a 401 on that retry is final. If the
+//       refresh fails, the original 401 HttpError is thrown, with the refresh failure on err.refreshError.
+//       send({ url, method, headers, body }) -> parsed body: make the refresh request with it. It skips
+//       every auth strategy (skipAuth), so it doesn't wait for the refresh it belongs to; a plain-object
+//       body is sent as JSON. Don't use fetchPostJson & co. there: under a global useAuth that request
+//       would wait for its own refresh (unless it passes { skipAuth: true }, a createHttpClient option).
+function useAuth(strategy, { match, interceptors: target = interceptors } = {}) {
+    const applies = cfg => !cfg.skipAuth && matchesUrl(match, cfg.url);
+    const ejectRequest = target.request.use(cfg => (applies(cfg) ? strategy.apply(cfg) : cfg));
+    const ejectResponse = strategy.recover
+        ? target.response.use(null, (err, cfg, send) => (applies(cfg) ? strategy.recover(err, cfg, send) : Promise.reject(err)))
+        : () => {};
+    return () => {
+        ejectRequest();
+        ejectResponse();
+    };
+}
+
+// match: undefined (everything) | URL prefix string | RegExp | (url) => boolean
+function matchesUrl(match, url) {
+    if (!match) return true;
+    if (typeof match === 'function') return match(url);
+    if (match instanceof RegExp) return match.test(url);
+    return String(url).startsWith(match);
+}
+
+const resolveSecret = async value => (typeof value === 'function' ? value() : value);
+
+function apiKeyAuth({ key, name = 'X-API-Key', in: location = 'header' }) {
+    return {
+        async apply(cfg) {
+            const value = await resolveSecret(key);
+            if (location === 'query') {
+                const u = new URL(cfg.url, typeof window !== 'undefined' ? window.location.href : undefined);
+                u.searchParams.set(name, value);
+                return { ...cfg, url: u.toString() };
+            }
+            return { ...cfg, headers: { ...cfg.headers, [name]: value } };
+        },
+    };
+}
+
+function basicAuth({ username, password }) {
+    return {
+        async apply(cfg) {
+            const credentials = `${await resolveSecret(username)}:${await resolveSecret(password)}`;
+            // btoa() alone throws on non-Latin-1 characters
+            const encoded = bytesToBase64(new TextEncoder().encode(credentials));
+            return { ...cfg, headers: { ...cfg.headers, Authorization: `Basic ${encoded}` } };
+        },
+    };
+}
+
+// The `send` bearerAuth hands to refresh(): performRequest (see 15) with skipAuth, JSON like createHttpClient.
+function sendWithoutAuth(config) {
+    const headers = toPlainHeaders(config.headers);
+    let { body } = config;
+    if (isJsonBody(body)) {
+        body = JSON.stringify(body);
+        if (!hasHeader(headers, 'Content-Type')) headers['Content-Type'] = 'application/json';
+    }
+    return performRequest({ ...config, headers, body, skipAuth: true });
+}
+
+function bearerAuth({ token, refresh, scheme = 'Bearer', shouldRefresh = err => err instanceof HttpError && err.status === 401 }) {
+    let current = null;    // last token we handed out or got from refresh()
+    let refreshing = null; // the one refresh in flight, shared by everyone
+
+    async function currentToken() {
+        if (refreshing) await refreshing.catch(() => { /* fall back to token() */ });
+        if (current === null || typeof token === 'function') current = await resolveSecret(token);
+        return current;
+    }
+
+    function refreshOnce() {
+        if (!refreshing) {
+            refreshing = Promise.resolve()
+                .then(() => refresh(sendWithoutAuth))
+                .then(fresh => { current = fresh; return fresh; })
+                .finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    return {
+        async apply(cfg) {
+            const value = await currentToken();
+            if (!value) return cfg;
+            return { ...cfg, headers: { ...cfg.headers, Authorization: `${scheme} ${value}` }, authToken: value };
+        },
+        async recover(err, cfg, send) {
+            // authRetried: this request already went out with a refreshed token, refreshing again won't help
+            if (!refresh || cfg.authRetried || !shouldRefresh(err)) throw err;
+            let fresh;
+            try {
+                // someone else already refreshed since this request was sent: just use the new token
+                fresh = current && current !== cfg.authToken && !refreshing ? current : await refreshOnce();
+            } catch (refreshError) {
+                err.refreshError = refreshError;
+                throw err;
+            }
+            // retried once: send() skips the request interceptors, so this one won't come back here
+            return send({ ...cfg, headers: { ...cfg.headers, Authorization: `${scheme} ${fresh}` }, authToken: fresh, authRetried: true });
+        },
+    };
+}
+// Example:
+// const stopAuth = useAuth(bearerAuth({
+//   token: () => localStorage.getItem('accessToken'),
+//   refresh: async send => {
+//     const { accessToken } = await send({ url: '/auth/refresh', method: 'POST', body: { refreshToken: localStorage.getItem('refreshToken') } });
+//     localStorage.setItem('accessToken', accessToken);
+//     return accessToken;
+//   },
+// }), { match: '/api/' });
+// const weather = createHttpClient({ baseUrl: 'https://api.example.com', auth: apiKeyAuth({ key: 'abc123', name: 'appid', in: 'query' }) });
+// const admin = createHttpClient({ baseUrl: '/admin', auth: basicAuth({ username: 'ann', password: 's3cret' }) });
+
+// --------------------------
+// 36) Offline outbox — park failed POST/PUT/PATCH/DELETE requests and send them later
+// --------------------------
+// Without it, a fetchPostJson / xhrPostForm made while offline fails and the data is gone.
+// const outbox = createOutbox({ store }); useOutbox(outbox) (or createHttpClient({ outbox })) then:
+//   - every mutating request gets an Idempotency-Key header (unless it already has one), so the
+//     server can recognise a request it already handled when the answer was lost on the way back;
+//   - a request failing with NetworkError / TimeoutError is saved in the outbox and still rejects,
+//     with err.queued = { id, pending }, so the UI can say "saved, will sync" (withRetry skips it);
+//   - the outbox replays requests oldest first, one at a time (order matters: create before update),
+//     when the browser fires 'online' and otherwise with backoff (computeBackoff, see 13). A replay
+//     that fails the same way stops the run; one the server rejects (4xx) is dropped with 'failed'.
+// Replays go through the normal pipeline, so interceptors (auth, see 35) apply again; Authorization /
+// Cookie headers are not persisted. The idempotency key is the item id: queuing the same key twice
+// keeps one copy. Bodies: strings, URLSearchParams, FormData and Blobs (files are stored as base64);
+// streams can't be queued.
+// store: any cache store from 20 — createIndexedDbStore({ dbName: 'outbox' }) in browsers,
+// createFileStore('./outbox.json') in Node (default: memory, lost on reload).
+// Events: outbox.on('queued' | 'sending' | 'sent' | 'retry' | 'failed' | 'drained', fn), payloads
+// { item, pending, response | error | delay }. Node: timers don't keep the process alive; await
+// outbox.flush() before exiting.
+const UNSAFE_TO_PERSIST = ['authorization', 'proxy-authorization', 'cookie'];
+
+async function serializeBody(body) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === 'string') return { text: body };
+    if (body instanceof URLSearchParams) return { text: body.toString(), type: 'application/x-www-form-urlencoded;charset=UTF-8' };
+    const blobToJson = async blob => ({
+        name: blob.name, type: blob.type, base64: bytesToBase64(new Uint8Array(await blob.arrayBuffer())),
+    });
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+        const form = [];
+        for (const [name, value] of body) form.push([name, typeof value === 'string' ? value : await blobToJson(value)]);
+        return { form };
+    }
+    if (body instanceof Blob) return { blob: await blobToJson(body) };
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        return { bytes: bytesToBase64(new Uint8Array(body.buffer || body, body.byteOffset || 0, body.byteLength)) };
+    }
+    throw new TypeError('This request body cannot be stored in the outbox (streams are read only once)');
+}
+
+function deserializeBody(saved) {
+    if (!saved) return undefined;
+    const toBlob = b => new Blob([base64ToBytes(b.base64)], { type: b.type });
+    if (saved.text !== undefined) return saved.text;
+    if (saved.form) {
+        const form = new FormData();
+        saved.form.forEach(([name, value]) => {
+            if (typeof value === 'string') form.append(name, value);
+            else form.append(name, toBlob(value), value.name);
+        });
+        return form;
+    }
+    if (saved.blob) return toBlob(saved.blob);
+    return base64ToBytes(saved.bytes);
+}
+
+function createOutbox({
+    store = createMemoryStore(),
+    key = 'outbox',
+    methods = ['POST', 'PUT', 'PATCH', 'DELETE'],
+    idempotencyHeader = 'Idempotency-Key',
+    retry = {},
+    autoFlush = true,
+} = {}) {
+    const emitter = createEmitter();
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 1000, maxDelay: 60000, ...retry };
+    let queueOp = Promise.resolve(); // store updates, one at a time
+    let flushing = null;
+    let timer = null;
+    let attempt = 0;
+
+    const read = async () => (await store.get(key)) || [];
+    function update(fn) {
+        const next = queueOp.then(async () => {
+            const items = await read();
+            const result = await fn(items);
+            await store.set(key, items);
+            return result;
+        });
+        queueOp = next.catch(() => {});
+        return next;
+    }
+
+    async function enqueue(config) {
+        const headers = {};
+        Object.keys(config.headers || {}).forEach(name => {
+            if (!UNSAFE_TO_PERSIST.includes(name.toLowerCase())) headers[name] = config.headers[name];
+        });
+        const existingKey = Object.keys(headers).find(name => name.toLowerCase() === idempotencyHeader.toLowerCase());
+        const id = existingKey ? headers[existingKey] : newIdempotencyKey();
+        if (!existingKey) headers[idempotencyHeader] = id;
+        const item = {
+            id,
+            method: (config.method || 'POST').toUpperCase(),
+            url: config.url,
+            headers,
+            body: await serializeBody(config.body),
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+        };
+        const { saved, pending } = await update(items => {
+            const found = items.find(i => i.id === id);
+            if (!found) items.push(item);
+            return { saved: found || item, pending: items.length };
+        });
+        if (saved !== item) return { item: saved, pending }; // same idempotency key: already queued
+        emitter.emit('queued', { item, pending });
+        if (autoFlush) schedule(computeBackoff(Math.max(attempt, 1), policy));
+        return { item, pending };
+    }
+
+    function schedule(delay) {
+        clearTimeout(timer);
+        timer = setTimeout(() => flush().catch(() => { /* reported through events */ }), delay);
+        if (timer.unref) timer.unref(); // Node: don't keep the process alive just for this
+    }
+
+    function replay(item) {
+        return performRequest(
+            { url: item.url, method: item.method, headers: { ...item.headers }, body: deserializeBody(item.body), outboxId: item.id, dedupe: false },
+            { full: true, interceptors: outbox.replayInterceptors }
+        );
+    }
+
+    const removeItem = id => update(items => {
+        const i = items.findIndex(x => x.id === id);
+        if (i !== -1) items.splice(i, 1);
+        return items.length;
+    });
+
+    function flush() {
+        if (flushing) return flushing;
+        clearTimeout(timer);
+        flushing = (async () => {
+            let handled = 0;
+            while (true) {
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) return; // wait for 'online'
+                const [item] = await read();
+                if (!item) {
+                    attempt = 0;
+                    if (handled) emitter.emit('drained', { pending: 0 });
+                    return;
+                }
+                handled++;
+                emitter.emit('sending', { item });
+                try {
+                    const response = await replay(item);
+                    const pending = await removeItem(item.id);
+                    attempt = 0;
+                    emitter.emit('sent', { item, response, pending });
+                } catch (error) {
+                    if (isRetryableError(error, policy, item.attempts + 1)) {
+                        const pending = await update(items => {
+                            const saved = items.find(x => x.id === item.id);
+                            if (saved) {
+                                saved.attempts++;
+                                saved.lastError = error.message;
+                            }
+                            return items.length;
+                        });
+                        attempt++;
+                        const delay = computeBackoff(attempt, policy);
+                        emitter.emit('retry', { item, error, delay, pending });
+                        if (autoFlush) schedule(delay);
+                        return;
+                    }
+                    const pending = await removeItem(item.id);
+                    emitter.emit('failed', { item, error, pending }); // the server said no: replaying won't help
+                }
+            }
+        })().finally(() => { flushing = null; });
+        return flushing;
+    }
+
+    const onOnline = () => { flush().catch(() => {}); };
+    if (autoFlush && typeof window !== 'undefined' && window.addEventListener) window.addEventListener('online', onOnline);
+    if (autoFlush) schedule(0); // whatever is left from the last session
+
+    const outbox = {
+        methods,
+        idempotencyHeader,
+        replayInterceptors: [], // per-client interceptors to run on replay (see useOutbox)
+        enqueue,
+        flush,
+        items: read,
+        remove: removeItem,
+        clear: () => update(items => { items.length = 0; }),
+        stop() {
+            clearTimeout(timer);
+            if (typeof window !== 'undefined' && window.removeEventListener) window.removeEventListener('online', onOnline);
+        },
+        on: emitter.on,
+        off: emitter.off,
+        once: emitter.once,
+    };
+    return outbox;
+}
+
+function newIdempotencyKey() {
+    const cryptoApi = webCrypto();
+    return typeof cryptoApi.randomUUID === 'function' ? cryptoApi.randomUUID() : randomHex(16);
+}
+
+// options: { match (as in useAuth), interceptors: a client's interceptors instead of the global ones }
+function useOutbox(outbox, { match, interceptors: target = interceptors } = {}) {
+    const applies = cfg => outbox.methods.includes(cfg.method) && !cfg.outboxId && matchesUrl(match, cfg.url);
+    if (target !== interceptors && !outbox.replayInterceptors.includes(target)) outbox.replayInterceptors.push(target);
+    const ejectRequest = target.request.use(cfg => {
+        if (!applies(cfg) || hasHeader(cfg.headers, outbox.idempotencyHeader)) return cfg;
+        return { ...cfg, headers: { ...cfg.headers, [outbox.idempotencyHeader]: newIdempotencyKey() } };
+    });
+    const ejectResponse = target.response.use(null, async (err, cfg) => {
+        if (err instanceof NetworkError && applies(cfg)) {
+            try {
+                const { item, pending } = await outbox.enqueue(cfg);
+                err.queued = { id: item.id, pending };
+            } catch (e) { /* body can't be stored: fail as before */ }
+        }
+        throw err;
+    });
+    return () => {
+        ejectRequest();
+        ejectResponse();
+    };
+}
+// Example (browser):
+// const outbox = createOutbox({ store: createIndexedDbStore({ dbName: 'outbox' }) });
+// useOutbox(outbox, { match: '/api/' });
+// outbox.on('queued', ({ pending }) => badge.textContent = `${pending} waiting to sync`);
+// outbox.on('drained', () => badge.textContent = '');
+// outbox.on('failed', ({ item, error }) => alert(`Could not save ${item.method} ${item.url}: ${error.message}`));
+// try {
+//   await fetchPostJson('/api/notes', { text: 'written on the train' });
+// } catch (err) {
+//   if (!err.queued) throw err; // queued: it will be sent when the connection is back
+// }
+
 // --------------------------
 // End: export or expose for interactive testing (node/browser compatible light export)
 // --------------------------
@@ -245,6 +3444,56 @@ if (typeof module !== 'undefined' && module.exports) {
         getTodo,
         fetchWithTimeout,
         fetchWithDownloadProgress,
-        quick
+        quick,
+        handleResponse,
+        createHttpClient,
+        withRetry,
+        parseRetryAfter,
+        computeBackoff,
+        DEFAULT_RETRY_POLICY,
+        HttpError,
+        NetworkError,
+        TimeoutError,
+        interceptors,
+        createInterceptorManager,
+        abortReason,
+        parseResponseBody,
+        upload,
+        createResumableDownload,
+        createResponseCache,
+        createMemoryStore,
+        createLocalStorageStore,
+        createIndexedDbStore,
+        createFileStore,
+        serializeParams,
+        parseQuery,
+        expandPath,
+        resolveUrl,
+        createApi,
+        ValidationError,
+        createMockServer,
+        transports,
+        setTransport,
+        getTransport,
+        createRequestScheduler,
+        createRateLimiter,
+        createEmitter,
+        createCircuitBreaker,
+        CircuitOpenError,
+        paginate,
+        streamSse,
+        streamNdjson,
+        createGraphQLClient,
+        GraphQLError,
+        createRecorder,
+        createReplayServer,
+        ReplayMissError,
+        httpMetrics,
+        useAuth,
+        apiKeyAuth,
+        basicAuth,
+        bearerAuth,
+        createOutbox,
+        useOutbox
     };
 }
\ No newline at end of file
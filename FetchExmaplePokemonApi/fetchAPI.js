@@ -15,7 +15,8 @@
   async function fetchData() {
     try {
         const pokemonName=document.getElementById("pokemonName").value.toLowerCase().trim();
-        const response =  await fetch(`https://pokeapi.co/api/v2/pokemon/${pokemonName}`);
+        // resolveUrl (AJAX.js) percent-encodes the name and rejects an empty one
+        const response =  await fetch(resolveUrl("https://pokeapi.co/api/v2", "/pokemon/{name}", { name: pokemonName }));
         if(!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -0,0 +1,319 @@
+// WebSockets — a WebSocket client for the AJAX.js helpers (short primer):
+// - XHR and fetch are request -> response; a WebSocket stays open and either side can talk at any time.
+// - The browser's WebSocket reports a dropped connection and nothing more: no reconnect, no heartbeat,
+//   no queue while offline, no way to match a reply to a request. createSocket adds those.
+// - createMockSocketServer is an in-memory stand-in server, so createSocket can be tested without a network.
+// This was section 31 of AJAX.js; it reuses computeBackoff, createEmitter and the error classes from there.
+// Node: `const { createSocket } = require('./WebSockets.js')`. Browser: load AJAX.js first, then this file.
+const AJAX = typeof module !== 'undefined' && module.exports ? require('./AJAX.js') : {
+    // AJAX.js declarations are globals in the page
+    DEFAULT_RETRY_POLICY, computeBackoff, createEmitter, NetworkError, TimeoutError, abortReason,
+};
+
+// createSocket(url, options) wraps the browser WebSocket (or anything with the same API: the `ws`
+// package in Node, or createMockSocketServer().WebSocket below) and adds:
+//   reconnect   when the connection drops (but not after socket.close()), wait computeBackoff(attempt)
+//               (see AJAX.js 13; here baseDelay 500, maxDelay 30000, unlimited attempts) and connect again.
+//               false turns it off; an object overrides the policy, e.g. { maxAttempts: 10 } gives up
+//               after 10 failed reconnects in a row.
+//   heartbeat   { interval, timeout, message, isPong }: every `interval` ms send `message`; if nothing
+//               at all arrives within `timeout` ms the link is dead -> drop it and reconnect.
+//               Incoming messages matching isPong are swallowed.
+//   queue       send() while (re)connecting queues the message (up to maxQueue, then RangeError);
+//               the queue is flushed in order as soon as the socket is open.
+//   json        (default true) outgoing values are JSON.stringify'd and incoming text frames parsed;
+//               binary frames (Blob / ArrayBuffer / typed arrays) pass through untouched.
+//   request()   adds a correlation id (`idKey`, default 'id') and resolves with the incoming message
+//               carrying the same id. Rejects with TimeoutError after requestTimeout ms, and with
+//               NetworkError if the connection is lost first (that reply will never come).
+// Incoming messages: socket.on('message', fn) or `for await (const msg of socket)`; the loop ends once
+// the socket is closed for good. Other events: 'open' { attempt }, 'close' { code, reason, willReconnect },
+// 'reconnect' { attempt, delay }, 'error' (the socket's error Event, or a SyntaxError for a bad frame).
+const SOCKET_OPEN = 1;
+
+function isBinaryFrame(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data) || (typeof Blob !== 'undefined' && data instanceof Blob);
+}
+
+function createSocket(url, {
+    protocols,
+    WebSocket: WebSocketClass = globalThis.WebSocket,
+    reconnect = true,
+    heartbeat = null,
+    json = true,
+    maxQueue = 100,
+    idKey = 'id',
+    requestTimeout = 10000,
+} = {}) {
+    if (!WebSocketClass) throw new TypeError('No WebSocket implementation found; pass { WebSocket } (e.g. require("ws") in Node)');
+    const policy = reconnect && {
+        ...AJAX.DEFAULT_RETRY_POLICY, baseDelay: 500, maxDelay: 30000, maxAttempts: Infinity,
+        ...(reconnect === true ? {} : reconnect),
+    };
+    const beat = heartbeat && {
+        interval: 30000, timeout: 10000, message: { type: 'ping' }, isPong: msg => !!msg && msg.type === 'pong',
+        ...(heartbeat === true ? {} : heartbeat),
+    };
+    const emitter = AJAX.createEmitter();
+    const queue = [];
+    const pending = new Map(); // correlation id -> { resolve, reject, cleanup }
+    let ws = null;
+    let attempt = 0;
+    let closing = false; // socket.close() was called
+    let ended = false;   // closed for good: no reconnect, iterators finish
+    let reconnectTimer = null;
+    let beatTimer = null;
+    let deadTimer = null;
+    let nextId = 1;
+
+    function connect() {
+        reconnectTimer = null;
+        ws = new WebSocketClass(url, protocols);
+        ws.onopen = () => {
+            emitter.emit('open', { attempt });
+            attempt = 0;
+            while (queue.length && ws && ws.readyState === SOCKET_OPEN) transmit(queue.shift());
+            startHeartbeat();
+        };
+        ws.onmessage = event => receive(event.data);
+        ws.onerror = event => emitter.emit('error', event);
+        ws.onclose = event => handleClose(event.code, event.reason);
+    }
+
+    function transmit(data) {
+        ws.send(json && !isBinaryFrame(data) ? JSON.stringify(data) : data);
+    }
+
+    function receive(data) {
+        alive();
+        let msg = data;
+        if (json && typeof data === 'string') {
+            try {
+                msg = JSON.parse(data);
+            } catch (e) {
+                emitter.emit('error', new SyntaxError(`Invalid JSON frame from ${url}: ${e.message}`));
+                return;
+            }
+        }
+        if (beat && beat.isPong(msg)) return;
+        if (msg && typeof msg === 'object' && pending.has(msg[idKey])) {
+            pending.get(msg[idKey]).resolve(msg);
+            return;
+        }
+        emitter.emit('message', msg);
+    }
+
+    function startHeartbeat() {
+        if (!beat) return;
+        beatTimer = setInterval(() => {
+            transmit(beat.message);
+            if (!deadTimer) deadTimer = setTimeout(() => dropConnection(4000, 'Heartbeat timeout'), beat.timeout);
+        }, beat.interval);
+    }
+
+    function alive() {
+        clearTimeout(deadTimer);
+        deadTimer = null;
+    }
+
+    // A dead link may take minutes to report onclose, so stop listening and treat it as closed now.
+    function dropConnection(code, reason) {
+        const dead = ws;
+        dead.onopen = dead.onmessage = dead.onerror = dead.onclose = null;
+        try { dead.close(code, reason); } catch (e) { /* already closing */ }
+        handleClose(code, reason);
+    }
+
+    function handleClose(code, reason) {
+        clearInterval(beatTimer);
+        alive();
+        ws = null;
+        pending.forEach(entry => entry.reject(new AJAX.NetworkError({
+            url, method: 'WS', message: `WebSocket closed (${code}) before a reply arrived (${url})`,
+        })));
+        const willReconnect = !closing && !!policy && attempt < policy.maxAttempts;
+        if (!willReconnect) ended = true;
+        emitter.emit('close', { code, reason, willReconnect });
+        if (!willReconnect) return;
+        attempt++;
+        const delay = AJAX.computeBackoff(attempt, policy);
+        emitter.emit('reconnect', { attempt, delay });
+        reconnectTimer = setTimeout(connect, delay);
+    }
+
+    function send(data) {
+        if (ended) throw new Error(`WebSocket ${url} is closed`);
+        if (ws && ws.readyState === SOCKET_OPEN) return transmit(data);
+        if (queue.length >= maxQueue) throw new RangeError(`WebSocket outbound queue is full (${maxQueue} messages)`);
+        queue.push(data);
+    }
+
+    function request(data, { timeout = requestTimeout, signal } = {}) {
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(AJAX.abortReason(signal));
+            const timer = setTimeout(() => settle(reject, new AJAX.TimeoutError({ url, method: 'WS', timeout })), timeout);
+            const onAbort = () => settle(reject, AJAX.abortReason(signal));
+            function settle(fn, value) {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                pending.delete(id);
+                fn(value);
+            }
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            pending.set(id, { resolve: msg => settle(resolve, msg), reject: err => settle(reject, err) });
+            try {
+                send({ ...data, [idKey]: id });
+            } catch (err) {
+                settle(reject, err);
+            }
+        });
+    }
+
+    function close(code = 1000, reason = '') {
+        const done = ended ? Promise.resolve() : new Promise(resolve => emitter.once('close', () => resolve()));
+        closing = true;
+        queue.length = 0;
+        clearTimeout(reconnectTimer);
+        if (ws) ws.close(code, reason);
+        else if (!ended) handleClose(code, reason); // was waiting to reconnect
+        return done;
+    }
+
+    // Each iterator buffers from the moment it is created, so no message slips through between awaits.
+    function messages({ signal } = {}) {
+        const buffer = [];
+        let wake = () => {};
+        const stops = [
+            emitter.on('message', msg => { buffer.push(msg); wake(); }),
+            emitter.on('close', () => wake()),
+        ];
+        const onAbort = () => wake();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        return (async function* () {
+            try {
+                while (true) {
+                    if (signal && signal.aborted) throw AJAX.abortReason(signal);
+                    if (buffer.length) yield buffer.shift();
+                    else if (ended) return;
+                    else await new Promise(resolve => { wake = resolve; });
+                }
+            } finally {
+                stops.forEach(stop => stop());
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        })();
+    }
+
+    connect();
+    return {
+        send,
+        request,
+        close,
+        messages,
+        [Symbol.asyncIterator]: () => messages(),
+        get state() {
+            if (ended) return 'closed';
+            if (ws && ws.readyState === SOCKET_OPEN) return 'open';
+            return attempt ? 'reconnecting' : 'connecting';
+        },
+        get queued() { return queue.length; },
+        on: emitter.on,
+        off: emitter.off,
+        once: emitter.once,
+    };
+}
+
+// Stand-in server for tests: its WebSocket class runs entirely in memory, so createSocket works under
+// Node (or in a browser) without a real server. onConnection(conn) is called for each client:
+//   conn.send(data)           frame to the client (as sent on the wire: strings, not objects)
+//   conn.on('message', fn)    frames from the client; also recorded in conn.received
+//   conn.close(code, reason)  clean close;  conn.drop()  connection lost (code 1006)
+// server.connections lists open connections; set server.refuse = true to make new connections fail.
+// Everything is delivered with setTimeout(0), like a real socket (fake timers work).
+function createMockSocketServer(onConnection = () => {}) {
+    const server = {
+        connections: [],
+        refuse: false,
+        broadcast(data) { server.connections.forEach(conn => conn.send(data)); },
+    };
+    const later = fn => setTimeout(fn, 0);
+
+    class MockWebSocket {
+        constructor(url, protocols) {
+            this.url = String(url);
+            this.protocol = '';
+            this.binaryType = 'blob';
+            this.readyState = 0;
+            this.onopen = this.onmessage = this.onerror = this.onclose = null;
+            const events = AJAX.createEmitter();
+            this._events = events;
+            this._conn = {
+                url: this.url,
+                protocols,
+                received: [],
+                on: events.on,
+                off: events.off,
+                once: events.once,
+                send: data => later(() => {
+                    if (this.readyState === SOCKET_OPEN && this.onmessage) this.onmessage({ data });
+                }),
+                close: (code = 1000, reason = '') => this._finish(code, reason, true),
+                drop: () => this._finish(1006, '', false),
+            };
+            later(() => {
+                if (this.readyState !== 0) return; // closed while connecting
+                if (server.refuse) {
+                    if (this.onerror) this.onerror({ type: 'error' });
+                    return this._finish(1006, '', false);
+                }
+                this.readyState = SOCKET_OPEN;
+                server.connections.push(this._conn);
+                if (this.onopen) this.onopen({ type: 'open' });
+                onConnection(this._conn);
+            });
+        }
+        send(data) {
+            if (this.readyState === 0) throw new Error('InvalidStateError: WebSocket is still connecting');
+            if (this.readyState !== SOCKET_OPEN) return; // real sockets silently discard after close
+            later(() => {
+                this._conn.received.push(data);
+                this._events.emit('message', data);
+            });
+        }
+        close(code = 1000, reason = '') { this._finish(code, reason, true); }
+        _finish(code, reason, wasClean) {
+            if (this.readyState >= 2) return;
+            this.readyState = 2;
+            const index = server.connections.indexOf(this._conn);
+            if (index !== -1) server.connections.splice(index, 1);
+            later(() => {
+                this.readyState = 3;
+                this._events.emit('close', { code, reason });
+                if (this.onclose) this.onclose({ code, reason, wasClean });
+            });
+        }
+    }
+    server.WebSocket = MockWebSocket;
+    return server;
+}
+// Example:
+// const socket = createSocket('wss://example.com/chat', { heartbeat: { interval: 20000, timeout: 5000 } });
+// socket.on('reconnect', ({ attempt, delay }) => console.log(`reconnecting #${attempt} in ${delay}ms`));
+// socket.send({ type: 'join', room: 'general' });             // queued until the socket is open
+// const { users } = await socket.request({ type: 'who' });    // server echoes the "id" in its reply
+// for await (const msg of socket) if (msg.type === 'chat') console.log(msg.from, msg.text);
+//
+// // in a test:
+// const server = createMockSocketServer(conn => conn.on('message', raw => {
+//   const msg = JSON.parse(raw);
+//   if (msg.type === 'who') conn.send(JSON.stringify({ id: msg.id, users: ['ann'] }));
+// }));
+// const testSocket = createSocket('ws://test/chat', { WebSocket: server.WebSocket });
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createSocket,
+        createMockSocketServer,
+    };
+}
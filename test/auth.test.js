@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, createHttpClient, useAuth, apiKeyAuth, bearerAuth, fetchGet, HttpError } = require('../AJAX.js');
+
+// /me answers 200 only to "Bearer <valid>"; /auth/refresh hands out `valid`.
+function authServer(t, valid = 'new') {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/me', req => (req.headers.authorization === `Bearer ${valid}`
+        ? { body: { user: 'ann' } }
+        : { status: 401, body: { error: 'expired' } }));
+    mock.post('/auth/refresh', req => ({ body: { accessToken: 'new', sentAuth: req.headers.authorization || null } }));
+    return mock;
+}
+
+test('a global bearer refresh sends through send() without auth and does not wait for itself', { timeout: 2000 }, async t => {
+    const mock = authServer(t);
+    let token = 'old';
+    let refreshes = 0;
+    const eject = useAuth(bearerAuth({
+        token: () => token,
+        refresh: async send => {
+            refreshes++;
+            const { accessToken } = await send({ url: 'https://api.test/auth/refresh', method: 'POST', body: { refreshToken: 'r' } });
+            token = accessToken;
+            return accessToken;
+        },
+    }));
+    t.after(eject);
+    assert.deepEqual(await fetchGet('https://api.test/me'), { user: 'ann' });
+    assert.equal(refreshes, 1);
+    const refreshCall = mock.requests.find(r => r.path === '/auth/refresh');
+    assert.equal(refreshCall.headers.authorization, undefined);
+    assert.equal(refreshCall.headers['content-type'], 'application/json');
+    assert.deepEqual(refreshCall.body, { refreshToken: 'r' });
+});
+
+test('send() skips auth for requests made after refresh() has awaited', { timeout: 2000 }, async t => {
+    const mock = authServer(t);
+    let token = 'old';
+    const eject = useAuth(bearerAuth({
+        token: () => token,
+        refresh: async send => {
+            const refreshToken = await Promise.resolve('r'); // e.g. read from IndexedDB first
+            await send({ url: 'https://api.test/auth/refresh', method: 'POST', body: { refreshToken } });
+            const { accessToken } = await send({ url: 'https://api.test/auth/refresh', method: 'POST', body: { refreshToken } });
+            token = accessToken;
+            return accessToken;
+        },
+    }));
+    t.after(eject);
+    assert.deepEqual(await fetchGet('https://api.test/me'), { user: 'ann' });
+    const refreshCalls = mock.requests.filter(r => r.path === '/auth/refresh');
+    assert.deepEqual(refreshCalls.map(r => r.headers.authorization), [undefined, undefined]);
+});
+
+test('requests made while a refresh runs keep their own auth', { timeout: 2000 }, async t => {
+    const mock = authServer(t);
+    mock.get('/other', { body: {} });
+    let token = 'old';
+    let unrelated;
+    const ejectKey = useAuth(apiKeyAuth({ key: 'k' }), { match: 'https://other.test/' });
+    const ejectBearer = useAuth(bearerAuth({
+        token: () => token,
+        refresh: async send => {
+            unrelated = fetchGet('https://other.test/other'); // unrelated, started synchronously inside refresh()
+            token = (await send({ url: 'https://api.test/auth/refresh', method: 'POST' })).accessToken;
+            return token;
+        },
+    }), { match: 'https://api.test/' });
+    t.after(() => { ejectKey(); ejectBearer(); });
+    await fetchGet('https://api.test/me');
+    await unrelated;
+    const other = mock.requests.find(r => r.path === '/other');
+    assert.equal(other.headers['x-api-key'], 'k');
+});
+
+test('concurrent 401s share one refresh', { timeout: 2000 }, async t => {
+    authServer(t);
+    let refreshes = 0;
+    const api = createHttpClient({
+        baseUrl: 'https://api.test',
+        auth: bearerAuth({ token: 'old', refresh: async () => { refreshes++; return 'new'; } }),
+    });
+    assert.deepEqual(await Promise.all([api.get('/me'), api.get('/me'), api.get('/me')]), [{ user: 'ann' }, { user: 'ann' }, { user: 'ann' }]);
+    assert.equal(refreshes, 1);
+});
+
+test('a request already sent with the refreshed token is not refreshed again', { timeout: 2000 }, async t => {
+    authServer(t, 'never');
+    let refreshes = 0;
+    const strategy = bearerAuth({ token: 'old', refresh: async () => { refreshes++; return `new${refreshes}`; } });
+    // the same strategy twice (globally and on the client): both see the retried request's 401
+    const eject = useAuth(strategy);
+    t.after(eject);
+    const api = createHttpClient({ baseUrl: 'https://api.test', auth: strategy });
+    const err = await api.get('/me').catch(e => e);
+    assert.ok(err instanceof HttpError);
+    assert.equal(err.status, 401);
+    assert.equal(refreshes, 1);
+});
+
+test('skipAuth sends a request without credentials', async t => {
+    const mock = authServer(t);
+    const api = createHttpClient({ baseUrl: 'https://api.test', auth: bearerAuth({ token: 'new' }) });
+    await api.get('/me');
+    await api.post('/auth/refresh', {}, { skipAuth: true });
+    assert.equal(mock.requests[0].headers.authorization, 'Bearer new');
+    assert.equal(mock.requests[1].headers.authorization, undefined);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, createResponseCache, createFileStore, fetchGet } = require('../AJAX.js');
+
+function setup(t) {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/me', req => ({ body: { user: req.headers['x-api-key'] || null, n: mock.requests.length } }));
+    return mock;
+}
+
+test('fresh entries are served without a request', async t => {
+    const mock = setup(t);
+    const cache = createResponseCache({ ttl: 60000 });
+    const first = await fetchGet('https://api.test/me', { cache });
+    const second = await fetchGet('https://api.test/me', { cache });
+    assert.deepEqual(second, first);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('entries are not shared across credentials', async t => {
+    const mock = setup(t);
+    const cache = createResponseCache({ ttl: 60000 });
+    const alice = await fetchGet('https://api.test/me', { cache, headers: { 'X-API-Key': 'alice' } });
+    const bob = await fetchGet('https://api.test/me', { cache, headers: { 'X-API-Key': 'bob' } });
+    const aliceAgain = await fetchGet('https://api.test/me', { cache, headers: { 'X-API-Key': 'alice' } });
+    assert.equal(alice.user, 'alice');
+    assert.equal(bob.user, 'bob');
+    assert.deepEqual(aliceAgain, alice);
+    assert.equal(mock.requests.length, 2);
+});
+
+test('ETag revalidation keeps the cached body on 304', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/doc', req => (req.headers['if-none-match'] === '"v1"'
+        ? { status: 304 }
+        : { headers: { ETag: '"v1"' }, body: { v: 1 } }));
+    const cache = createResponseCache({ ttl: 0 });
+    assert.deepEqual(await fetchGet('https://api.test/doc', { cache }), { v: 1 });
+    assert.deepEqual(await fetchGet('https://api.test/doc', { cache }), { v: 1 });
+    assert.equal(mock.requests[1].headers['if-none-match'], '"v1"');
+});
+
+test('a string cache option is fetch()\'s cache mode and reaches fetch', async t => {
+    setup(t);
+    const mockFetch = globalThis.fetch;
+    const modes = [];
+    globalThis.fetch = (input, init = {}) => { modes.push(init.cache); return mockFetch(input, init); };
+    t.after(() => { globalThis.fetch = mockFetch; });
+    assert.deepEqual(await fetchGet('https://api.test/me', { cache: 'no-store' }), { user: null, n: 1 });
+    await fetchGet('https://api.test/me', { cache: createResponseCache() });
+    assert.deepEqual(modes, ['no-store', undefined]);
+});
+
+test('callers get their own copy of cached data', async t => {
+    setup(t);
+    const cache = createResponseCache({ ttl: 60000 });
+    const first = await fetchGet('https://api.test/me', { cache });
+    first.user = 'changed';
+    const second = await fetchGet('https://api.test/me', { cache });
+    assert.equal(second.user, null);
+    second.user = 'changed again';
+    assert.equal((await fetchGet('https://api.test/me', { cache })).user, null);
+});
+
+test('the file store keeps copies too', async t => {
+    const file = require('path').join(require('os').tmpdir(), `ajax-cache-${process.pid}.json`);
+    t.after(() => require('fs').promises.rm(file, { force: true }));
+    const store = createFileStore(file);
+    const entry = { data: { n: 1 } };
+    await store.set('k', entry);
+    entry.data.n = 2;
+    const read = await store.get('k');
+    assert.equal(read.data.n, 1);
+    read.data.n = 3;
+    assert.equal((await store.get('k')).data.n, 1);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createMockServer, createCircuitBreaker, createResponseCache, fetchGet, CircuitOpenError, HttpError, NetworkError,
+} = require('../AJAX.js');
+
+const fail = status => () => Promise.reject(new HttpError({ url: 'https://api.test/x', status }));
+const ok = () => Promise.resolve('ok');
+const req = { url: 'https://api.test/x' };
+
+function record(breaker) {
+    const events = [];
+    ['open', 'half-open', 'closed'].forEach(type => breaker.on(type, e => events.push(`${type} ${e.key}`)));
+    return events;
+}
+
+test('closed -> open after failureThreshold failures, then fails fast', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldown: 60000 });
+    const events = record(breaker);
+    await assert.rejects(breaker.run(fail(500), req), HttpError);
+    assert.equal(breaker.state('api.test'), 'closed');
+    await assert.rejects(breaker.run(fail(503), req), HttpError);
+    assert.equal(breaker.state('api.test'), 'open');
+    let called = false;
+    const err = await breaker.run(() => { called = true; return ok(); }, req).catch(e => e);
+    assert.ok(err instanceof CircuitOpenError);
+    assert.equal(called, false);
+    assert.deepEqual(events, ['open api.test']);
+});
+
+test('a success in between resets the failure count', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2 });
+    await assert.rejects(breaker.run(fail(500), req));
+    await breaker.run(ok, req);
+    await assert.rejects(breaker.run(fail(500), req));
+    assert.equal(breaker.state('api.test'), 'closed');
+});
+
+test('after the cooldown a trial request closes the circuit again', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 10 });
+    const events = record(breaker);
+    await assert.rejects(breaker.run(fail(500), req));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(await breaker.run(ok, req), 'ok');
+    assert.equal(breaker.state('api.test'), 'closed');
+    assert.deepEqual(events, ['open api.test', 'half-open api.test', 'closed api.test']);
+});
+
+test('a failed trial opens the circuit with a fresh cooldown', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 10 });
+    await assert.rejects(breaker.run(fail(500), req));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await assert.rejects(breaker.run(fail(500), req), HttpError);
+    assert.equal(breaker.state('api.test'), 'open');
+    await assert.rejects(breaker.run(ok, req), CircuitOpenError);
+});
+
+test('half-open lets only halfOpenMaxCalls trials through at once', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 10, halfOpenMaxCalls: 2, successThreshold: 2 });
+    await assert.rejects(breaker.run(fail(500), req));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const trials = [breaker.run(() => gate, req), breaker.run(() => gate, req)];
+    await assert.rejects(breaker.run(ok, req), CircuitOpenError);
+    release('ok');
+    assert.deepEqual(await Promise.all(trials), ['ok', 'ok']);
+    assert.equal(breaker.state('api.test'), 'closed');
+});
+
+test('4xx errors are not failures by default; isFailure changes that', async () => {
+    const lenient = createCircuitBreaker({ failureThreshold: 1 });
+    await assert.rejects(lenient.run(fail(404), req));
+    assert.equal(lenient.state('api.test'), 'closed');
+    await assert.rejects(lenient.run(() => Promise.reject(new NetworkError({ url: req.url })), req));
+    assert.equal(lenient.state('api.test'), 'open');
+
+    const strict = createCircuitBreaker({ failureThreshold: 1, isFailure: err => err instanceof HttpError });
+    await assert.rejects(strict.run(fail(404), req));
+    assert.equal(strict.state('api.test'), 'open');
+});
+
+test('keyBy endpoint keeps endpoints of one host apart', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, keyBy: 'endpoint' });
+    await assert.rejects(breaker.run(fail(500), { url: 'https://api.test/a?x=1' }));
+    assert.equal(breaker.state('GET https://api.test/a'), 'open');
+    assert.equal(await breaker.run(ok, { url: 'https://api.test/b' }), 'ok');
+});
+
+test('an open circuit does not block answers that are fresh in the cache', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/item', { body: { ok: true } }, { times: 1 });
+    mock.get('/down', { status: 500 });
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldown: 60000 });
+    const cache = createResponseCache({ ttl: 60000 });
+    await fetchGet('https://api.test/item', { cache, circuitBreaker: breaker });
+    await assert.rejects(fetchGet('https://api.test/down', { circuitBreaker: breaker }), HttpError);
+    assert.equal(breaker.state('api.test'), 'open');
+    assert.deepEqual(await fetchGet('https://api.test/item', { cache, circuitBreaker: breaker }), { ok: true });
+    await assert.rejects(fetchGet('https://api.test/other', { circuitBreaker: breaker }), CircuitOpenError);
+});
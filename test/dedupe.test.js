@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, fetchGet } = require('../AJAX.js');
+
+function setup(t) {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/data', req => ({ delay: 5, body: { key: req.headers['x-api-key'] || null, range: req.headers.range || null } }));
+    mock.get('/stream', { delay: 5, body: 'line 1\nline 2\n' });
+    return mock;
+}
+
+test('identical concurrent GETs share one request', async t => {
+    const mock = setup(t);
+    const [a, b] = await Promise.all([fetchGet('https://api.test/data'), fetchGet('https://api.test/data')]);
+    assert.deepEqual(a, b);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('GETs with different headers are not shared', async t => {
+    const mock = setup(t);
+    const [alice, bob] = await Promise.all([
+        fetchGet('https://api.test/data', { headers: { 'X-API-Key': 'alice' } }),
+        fetchGet('https://api.test/data', { headers: { 'X-API-Key': 'bob' } }),
+    ]);
+    assert.equal(alice.key, 'alice');
+    assert.equal(bob.key, 'bob');
+    const [first, second] = await Promise.all([
+        fetchGet('https://api.test/data', { headers: { Range: 'bytes=0-9' } }),
+        fetchGet('https://api.test/data', { headers: { Range: 'bytes=10-19' } }),
+    ]);
+    assert.equal(first.range, 'bytes=0-9');
+    assert.equal(second.range, 'bytes=10-19');
+    assert.equal(mock.requests.length, 4);
+});
+
+test('noise headers such as X-Request-Id do not split requests', async t => {
+    const mock = setup(t);
+    await Promise.all([
+        fetchGet('https://api.test/data', { headers: { 'X-Request-Id': '1' } }),
+        fetchGet('https://api.test/data', { headers: { 'X-Request-Id': '2' } }),
+    ]);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('stream responses are never shared', async t => {
+    const mock = setup(t);
+    const streams = await Promise.all([
+        fetchGet('https://api.test/stream', { responseType: 'stream' }),
+        fetchGet('https://api.test/stream', { responseType: 'stream' }),
+    ]);
+    const texts = await Promise.all(streams.map(stream => new Response(stream).text()));
+    assert.deepEqual(texts, ['line 1\nline 2\n', 'line 1\nline 2\n']);
+    assert.equal(mock.requests.length, 2);
+});
+
+test('each caller gets its own copy of the shared result', async t => {
+    const mock = setup(t);
+    mock.get('/bytes', { delay: 5, headers: { 'Content-Type': 'application/octet-stream' }, body: new Uint8Array([1, 2, 3]) });
+    const [a, b] = await Promise.all([fetchGet('https://api.test/data'), fetchGet('https://api.test/data')]);
+    a.key = 'edited';
+    assert.equal(b.key, null);
+    const [x, y] = await Promise.all([
+        fetchGet('https://api.test/bytes', { responseType: 'arrayBuffer' }),
+        fetchGet('https://api.test/bytes', { responseType: 'arrayBuffer' }),
+    ]);
+    new Uint8Array(x)[0] = 9;
+    assert.deepEqual([...new Uint8Array(y)], [1, 2, 3]);
+    assert.equal(mock.requests.length, 2);
+});
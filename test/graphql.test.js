@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, createGraphQLClient, GraphQLError, HttpError } = require('../AJAX.js');
+
+test('GraphQL errors in a 200 answer reject with GraphQLError', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.post('/graphql', { body: { data: { a: null }, errors: [{ message: 'nope', path: ['a'] }] } });
+    const err = await createGraphQLClient('https://api.test/graphql').request('{ a }').catch(e => e);
+    assert.ok(err instanceof GraphQLError);
+    assert.equal(err.message, 'nope');
+    assert.deepEqual(err.data, { a: null });
+});
+
+test('batched operations go out as one request', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.post('/graphql', req => ({ body: req.body.map((op, i) => ({ data: { n: i } })) }));
+    const gql = createGraphQLClient('https://api.test/graphql', { batch: true });
+    assert.deepEqual(await Promise.all([gql.request('{ a }'), gql.request('{ b }')]), [{ n: 0 }, { n: 1 }]);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('a batched request failing with a non-GraphQL JSON body rejects with the HttpError', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.post('/graphql', { status: 502, body: { message: 'bad gateway' } });
+    const gql = createGraphQLClient('https://api.test/graphql', { batch: true });
+    const errors = await Promise.all([gql.request('{ a }').catch(e => e), gql.request('{ b }').catch(e => e)]);
+    errors.forEach(err => {
+        assert.ok(err instanceof HttpError);
+        assert.equal(err.status, 502);
+    });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, httpMetrics, fetchGet, fetchPostJson, fetchWithTimeout, HttpError, NetworkError, TimeoutError } = require('../AJAX.js');
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-(0[01])$/;
+const PARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+function setup(t, options) {
+    const mock = createMockServer().install();
+    httpMetrics.reset();
+    httpMetrics.enable(options);
+    t.after(() => {
+        httpMetrics.disable();
+        httpMetrics.reset();
+        mock.restore();
+    });
+    mock.get('/item', { body: { ok: true } });
+    return mock;
+}
+
+// Collects the events of one kind for the rest of the test.
+function record(t, event) {
+    const seen = [];
+    t.after(httpMetrics.on(event, e => seen.push(e)));
+    return seen;
+}
+
+test('request, response and end are emitted once per request, in that order', async t => {
+    setup(t);
+    const order = [];
+    ['request', 'response', 'end'].forEach(event => t.after(httpMetrics.on(event, e => order.push([event, e.id]))));
+    const ended = record(t, 'end');
+    await fetchGet('https://api.test/item');
+    const [e] = ended;
+    assert.deepEqual(order.map(([event]) => event), ['request', 'response', 'end']);
+    assert.equal(new Set(order.map(([, id]) => id)).size, 1);
+    assert.equal(e.method, 'GET');
+    assert.equal(e.url, 'https://api.test/item');
+    assert.equal(e.host, 'api.test');
+    assert.equal(e.transport, 'fetch');
+    assert.equal(e.status, 200);
+    assert.equal(e.outcome, 'success');
+    assert.equal(e.bytesReceived, JSON.stringify({ ok: true }).length);
+    assert.ok(e.ttfb >= 0 && e.duration >= e.ttfb);
+    assert.equal(e.traceId, undefined);
+});
+
+test('outcomes and statuses are counted in the snapshot', async t => {
+    const mock = setup(t);
+    mock.post('/fail', { status: 500, body: { error: 'boom' } });
+    mock.get('/down', { networkError: true });
+    mock.get('/slow', { delay: 200, body: {} });
+    const seen = record(t, 'end');
+    const body = { name: 'Ada' };
+    await fetchGet('https://api.test/item');
+    await assert.rejects(fetchPostJson('https://api.test/fail', body), HttpError);
+    await assert.rejects(fetchGet('https://api.test/down'), NetworkError);
+    await assert.rejects(fetchWithTimeout('https://api.test/slow', 10), TimeoutError);
+    assert.deepEqual(seen.map(e => e.outcome), ['success', 'http_error', 'network_error', 'timeout']);
+    assert.ok(seen[2].error instanceof NetworkError);
+    const snapshot = httpMetrics.snapshot();
+    assert.deepEqual(snapshot.outcomes, { success: 1, http_error: 1, network_error: 1, timeout: 1 });
+    assert.deepEqual(snapshot.statuses, { 200: 1, 500: 1 });
+    assert.equal(snapshot.requests, 4);
+    assert.equal(snapshot.inFlight, 0);
+    assert.equal(snapshot.bytesSent, JSON.stringify(body).length);
+    httpMetrics.reset();
+    assert.deepEqual(httpMetrics.snapshot(), { requests: 0, inFlight: 0, outcomes: {}, statuses: {}, bytesSent: 0, bytesReceived: 0 });
+});
+
+test('nothing is measured while metrics are disabled', async t => {
+    setup(t);
+    httpMetrics.disable();
+    const seen = record(t, 'request');
+    await fetchGet('https://api.test/item');
+    assert.deepEqual(seen, []);
+    assert.equal(httpMetrics.snapshot().requests, 0);
+});
+
+test('tracing adds a W3C traceparent with a new trace and span per request', async t => {
+    const mock = setup(t, { tracing: true });
+    const seen = record(t, 'end');
+    await fetchGet('https://api.test/item');
+    await fetchGet('https://api.test/item', { dedupe: false });
+    const sent = mock.requests.map(req => TRACEPARENT.exec(req.headers.traceparent));
+    assert.ok(sent.every(Boolean), 'traceparent matches 00-<32 hex>-<16 hex>-<flags>');
+    assert.deepEqual(sent.map(m => m[3]), ['01', '01']);
+    assert.deepEqual(seen.map(e => [e.traceId, e.spanId]), sent.map(m => [m[1], m[2]]));
+    assert.notEqual(sent[0][1], sent[1][1]);
+});
+
+test('a parent traceparent keeps its trace id and flags; sampled: false sets flags 00', async t => {
+    const mock = setup(t, { tracing: { parent: () => PARENT } });
+    await fetchGet('https://api.test/item');
+    httpMetrics.enable({ tracing: { sampled: false } });
+    await fetchGet('https://api.test/item', { dedupe: false });
+    const [child, unsampled] = mock.requests.map(req => TRACEPARENT.exec(req.headers.traceparent));
+    assert.equal(child[1], '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.notEqual(child[2], '00f067aa0ba902b7');
+    assert.equal(child[3], '01');
+    assert.notEqual(unsampled[1], child[1]);
+    assert.equal(unsampled[3], '00');
+});
+
+test('an existing traceparent is left alone and reported', async t => {
+    const mock = setup(t, { tracing: true });
+    const seen = record(t, 'request');
+    await fetchGet('https://api.test/item', { headers: { traceparent: PARENT } });
+    assert.equal(mock.requests[0].headers.traceparent, PARENT);
+    assert.equal(seen[0].traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(seen[0].spanId, '00f067aa0ba902b7');
+});
+
+test('propagate decides which URLs get a traceparent', async t => {
+    const mock = setup(t, { tracing: { propagate: url => !url.includes('third-party') } });
+    mock.get('/third-party', { body: {} });
+    const seen = record(t, 'request');
+    await fetchGet('https://api.test/item');
+    await fetchGet('https://api.test/third-party');
+    assert.match(mock.requests[0].headers.traceparent, TRACEPARENT);
+    assert.equal(mock.requests[1].headers.traceparent, undefined);
+    assert.equal(seen[1].traceId, undefined);
+});
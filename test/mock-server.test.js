@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, fetchGet, fetchPostJson, xhrGet, setTransport, NetworkError } = require('../AJAX.js');
+
+test('routes answer fetch helpers and record requests', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/todos/:id', req => ({ body: { id: Number(req.params.id), q: req.query.x } }));
+    mock.post('/todos', { status: 201, body: { created: true } });
+    assert.deepEqual(await fetchGet('https://api.test/todos/7?x=1'), { id: 7, q: '1' });
+    assert.deepEqual(await fetchPostJson('https://api.test/todos', { title: 'a' }), { created: true });
+    assert.deepEqual(mock.requests[1].body, { title: 'a' });
+});
+
+test('XHR helpers run against the mock too', async t => {
+    const mock = createMockServer().install();
+    setTransport('xhr');
+    t.after(() => { mock.restore(); setTransport(null); });
+    mock.get('/hello', { body: { hi: 1 } });
+    const data = await new Promise((resolve, reject) => xhrGet('https://api.test/hello', resolve, reject));
+    assert.deepEqual(data, { hi: 1 });
+});
+
+test('unmatched requests fail as network errors naming the request', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    const err = await fetchGet('https://api.test/nothing').catch(e => e);
+    assert.ok(err instanceof NetworkError);
+    assert.match(err.cause.cause.message, /No mock route matches GET https:\/\/api\.test\/nothing/);
+});
+
+test('ReadableStream bodies are streamed, not JSON-stringified', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    const encoder = new TextEncoder();
+    mock.get('/stream', () => ({
+        headers: { 'Content-Type': 'text/plain' },
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(encoder.encode('hello '));
+                controller.enqueue(encoder.encode('world'));
+                controller.close();
+            },
+        }),
+    }));
+    const resp = await fetch('https://api.test/stream');
+    assert.equal(await resp.text(), 'hello world');
+});
+
+test('unmatched XHR requests keep the mock error as the cause', async t => {
+    const mock = createMockServer().install();
+    setTransport('xhr');
+    t.after(() => { mock.restore(); setTransport(null); });
+    const err = await new Promise((resolve, reject) => xhrGet('https://api.test/nothing', reject, resolve));
+    assert.ok(err instanceof NetworkError);
+    assert.match(err.cause.cause.message, /No mock route matches GET https:\/\/api\.test\/nothing/);
+});
+
+test('Headers instances and [name, value] pairs reach the server', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/echo', req => ({ body: req.headers }));
+    const fromHeaders = await fetchGet('https://api.test/echo', { headers: new Headers({ 'X-Token': 'abc' }) });
+    assert.equal(fromHeaders['x-token'], 'abc');
+    const fromPairs = await fetchGet('https://api.test/echo', { headers: [['X-Token', 'def']] });
+    assert.equal(fromPairs['x-token'], 'def');
+    assert.equal(fromPairs['0'], undefined);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createMockServer, createOutbox, useOutbox, createFileStore, createHttpClient, fetchGet, fetchPostJson, HttpError, NetworkError,
+} = require('../AJAX.js');
+
+test('idempotency keys work without a global crypto (Node 18)', async t => {
+    const mock = createMockServer().install();
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true, writable: true });
+    const outbox = createOutbox({ autoFlush: false });
+    const eject = useOutbox(outbox);
+    t.after(() => {
+        eject();
+        mock.restore();
+        if (descriptor) Object.defineProperty(globalThis, 'crypto', descriptor);
+        else delete globalThis.crypto;
+    });
+    mock.post('/notes', { status: 201, body: {} });
+    await fetchPostJson('https://api.test/notes', { text: 'a' });
+    assert.match(mock.requests[0].headers['idempotency-key'], /^[0-9a-f-]{32,36}$/);
+});
+
+// An outbox on the global interceptors, flushed by hand; `mock` answers the requests.
+function setup(t, options = {}) {
+    const mock = createMockServer().install();
+    const outbox = createOutbox({ autoFlush: false, retry: { baseDelay: 1, maxDelay: 1, jitter: false }, ...options });
+    const eject = useOutbox(outbox);
+    t.after(() => { eject(); outbox.stop(); mock.restore(); });
+    return { mock, outbox };
+}
+
+test('a POST failing with a NetworkError is queued and still rejects', async t => {
+    const { mock, outbox } = setup(t);
+    const queued = [];
+    outbox.on('queued', e => queued.push(e));
+    mock.post('/notes', { networkError: true });
+    const err = await fetchPostJson('https://api.test/notes', { text: 'a' }).catch(e => e);
+    assert.ok(err instanceof NetworkError);
+    const [item] = await outbox.items();
+    assert.deepEqual(err.queued, { id: item.id, pending: 1 });
+    assert.equal(item.headers['Idempotency-Key'], item.id);
+    assert.equal(item.body.text, '{"text":"a"}');
+    assert.equal(queued.length, 1);
+});
+
+test('HTTP errors and GETs are not queued', async t => {
+    const { mock, outbox } = setup(t);
+    mock.post('/notes', { status: 500 });
+    mock.get('/notes', { networkError: true });
+    await assert.rejects(fetchPostJson('https://api.test/notes', {}), HttpError);
+    await assert.rejects(fetchGet('https://api.test/notes'), NetworkError);
+    assert.deepEqual(await outbox.items(), []);
+});
+
+test('credentials are not persisted', async t => {
+    const { mock, outbox } = setup(t);
+    mock.put('/notes/1', { networkError: true });
+    const api = createHttpClient({ baseUrl: 'https://api.test', headers: { Authorization: 'Bearer t', Cookie: 'c=1' } });
+    await assert.rejects(api.put('/notes/1', { text: 'b' }), NetworkError);
+    const [item] = await outbox.items();
+    assert.equal(item.headers.Authorization, undefined);
+    assert.equal(item.headers.Cookie, undefined);
+});
+
+test('flush replays oldest first with the same idempotency key, then drains', async t => {
+    const { mock, outbox } = setup(t);
+    mock.post('/notes', { networkError: true }, { times: 2 });
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 1 }));
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 2 }));
+    const ids = (await outbox.items()).map(item => item.id);
+    mock.post('/notes', req => ({ status: 201, body: req.body }));
+    const events = [];
+    ['sending', 'sent', 'drained'].forEach(type => outbox.on(type, () => events.push(type)));
+    await outbox.flush();
+    const replayed = mock.requests.slice(2);
+    assert.deepEqual(replayed.map(r => r.body), [{ n: 1 }, { n: 2 }]);
+    assert.deepEqual(replayed.map(r => r.headers['idempotency-key']), ids);
+    assert.deepEqual(events, ['sending', 'sent', 'sending', 'sent', 'drained']);
+    assert.deepEqual(await outbox.items(), []);
+});
+
+test('the same idempotency key is queued once', async t => {
+    const { mock, outbox } = setup(t);
+    mock.post('/notes', { networkError: true });
+    const api = createHttpClient({ baseUrl: 'https://api.test', headers: { 'Idempotency-Key': 'k-1' } });
+    const first = await api.post('/notes', { n: 1 }).catch(e => e);
+    const second = await api.post('/notes', { n: 1 }).catch(e => e);
+    assert.deepEqual(first.queued, { id: 'k-1', pending: 1 });
+    assert.deepEqual(second.queued, { id: 'k-1', pending: 1 });
+    assert.equal((await outbox.items()).length, 1);
+});
+
+test('a replay the server rejects (4xx) is dropped with "failed"; the next one is still sent', async t => {
+    const { mock, outbox } = setup(t);
+    mock.post('/notes', { networkError: true }, { times: 2 });
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 1 }));
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 2 }));
+    mock.post('/notes', req => (req.body.n === 1 ? { status: 422, body: { error: 'invalid' } } : { status: 201, body: {} }));
+    const failed = [];
+    outbox.on('failed', e => failed.push(e));
+    await outbox.flush();
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].error.status, 422);
+    assert.deepEqual(await outbox.items(), []);
+});
+
+test('a replay that fails the same way stops the run and is kept for later', async t => {
+    const { mock, outbox } = setup(t);
+    mock.post('/notes', { networkError: true });
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 1 }));
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 2 }));
+    const retries = [];
+    outbox.on('retry', e => retries.push(e));
+    await outbox.flush();
+    assert.equal(retries.length, 1);
+    assert.equal(mock.requests.length, 3); // only the oldest was tried
+    const items = await outbox.items();
+    assert.equal(items.length, 2);
+    assert.equal(items[0].attempts, 1);
+});
+
+test('the queue survives in a file store', async t => {
+    const file = require('path').join(require('os').tmpdir(), `ajax-outbox-${process.pid}.json`);
+    t.after(() => require('fs').promises.rm(file, { force: true }));
+    const first = setup(t, { store: createFileStore(file) });
+    first.mock.post('/notes', { networkError: true });
+    await assert.rejects(fetchPostJson('https://api.test/notes', { n: 1 }));
+    const [saved] = await first.outbox.items();
+
+    // a new outbox on the same file, as after a reload
+    const outbox = createOutbox({ store: createFileStore(file), autoFlush: false });
+    const [loaded] = await outbox.items();
+    assert.equal(loaded.id, saved.id);
+    first.mock.reset();
+    first.mock.post('/notes', { status: 201, body: {} });
+    await outbox.flush();
+    assert.equal(first.mock.requests[0].headers['idempotency-key'], saved.id);
+    assert.deepEqual(await createFileStore(file).get('outbox'), []);
+});
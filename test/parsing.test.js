@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, fetchGet } = require('../AJAX.js');
+
+function setup(t) {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    return mock;
+}
+
+test('JSON responses are parsed', async t => {
+    setup(t).get('/json', { body: { a: 1 } });
+    assert.deepEqual(await fetchGet('https://api.test/json'), { a: 1 });
+});
+
+test('invalid JSON under a JSON Content-Type rejects', async t => {
+    setup(t).get('/broken', { headers: { 'Content-Type': 'application/json' }, body: '{"a":' });
+    await assert.rejects(fetchGet('https://api.test/broken'), SyntaxError);
+});
+
+test('text responses stay text, even when they look like JSON', async t => {
+    setup(t).get('/text', { headers: { 'Content-Type': 'text/plain' }, body: '{"a":1}' });
+    assert.equal(await fetchGet('https://api.test/text'), '{"a":1}');
+});
+
+test('without a Content-Type, JSON is parsed and anything else is returned as text', async t => {
+    const original = globalThis.fetch;
+    // bytes, so Response adds no Content-Type of its own
+    const bodies = { '/json': '{"a":1}', '/broken': '{"a":' };
+    globalThis.fetch = async url => new Response(new TextEncoder().encode(bodies[new URL(url).pathname]));
+    t.after(() => { globalThis.fetch = original; });
+    assert.deepEqual(await fetchGet('https://api.test/json'), { a: 1 });
+    assert.equal(await fetchGet('https://api.test/broken'), '{"a":');
+});
+
+test('responseType overrides the Content-Type', async t => {
+    setup(t).get('/json', { body: { a: 1 } });
+    assert.equal(await fetchGet('https://api.test/json', { responseType: 'text' }), '{"a":1}');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serializeParams, parseQuery, buildUrl } = require('../AJAX.js');
+
+test('serializeParams flattens nested objects and arrays into pairs', () => {
+    assert.deepEqual(
+        serializeParams({ ids: [1, 2], filter: { age: 3 }, skip: null }, { arrayFormat: 'brackets' }),
+        [['ids[]', '1'], ['ids[]', '2'], ['filter[age]', '3']]
+    );
+    assert.deepEqual(serializeParams({ ids: [1, 2] }), [['ids', '1'], ['ids', '2']]);
+});
+
+test('parseQuery rebuilds nested values and repeated keys', () => {
+    assert.deepEqual(parseQuery('?ids[]=1&ids[]=2&filter[age]=3'), { ids: ['1', '2'], filter: { age: '3' } });
+    assert.deepEqual(parseQuery('ids=1&ids=2'), { ids: ['1', '2'] });
+});
+
+test('parseQuery ignores inherited Object.prototype keys', () => {
+    assert.deepEqual(parseQuery('toString=1&valueOf=2&hasOwnProperty=3'), { toString: '1', valueOf: '2', hasOwnProperty: '3' });
+    assert.deepEqual(parseQuery('__proto__[polluted]=1'), {});
+    assert.equal({}.polluted, undefined);
+});
+
+test('buildUrl appends serialized params', () => {
+    assert.equal(buildUrl('https://api.test/pets?a=1', { b: 2 }), 'https://api.test/pets?a=1&b=2');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, createRateLimiter, createResponseCache, fetchGet, HttpError } = require('../AJAX.js');
+
+function record(limiter, events = []) {
+    ['wait', 'acquire', 'pause', 'resume'].forEach(type => limiter.on(type, e => events.push({ type, ...e })));
+    return events;
+}
+
+test('the bucket allows a burst, then spaces requests by the refill rate', async () => {
+    const limiter = createRateLimiter({ rate: 1, interval: 30, burst: 2 });
+    const events = record(limiter);
+    const started = Date.now();
+    await Promise.all([1, 2, 3].map(() => limiter.acquire('a.test')));
+    assert.ok(Date.now() - started >= 25);
+    assert.deepEqual(events.map(e => e.type), ['acquire', 'acquire', 'wait', 'acquire']);
+    assert.equal(events[2].reason, 'tokens');
+});
+
+test('hosts have separate buckets and per-host limits', async () => {
+    const limiter = createRateLimiter({ rate: 1, interval: 60000, burst: 1, hosts: { 'b.test': { burst: 2 } } });
+    const events = record(limiter);
+    await limiter.acquire('a.test');
+    await limiter.acquire('b.test');
+    await limiter.acquire('b.test');
+    assert.deepEqual(events.map(e => `${e.type} ${e.host}`), ['acquire a.test', 'acquire b.test', 'acquire b.test']);
+});
+
+test('a 429 with Retry-After pauses the host, then the request is sent again', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/busy', { status: 429, headers: { 'Retry-After': '0' } }, { times: 1 });
+    mock.get('/busy', { body: { ok: true } });
+    const limiter = createRateLimiter({ rate: 100, interval: 10 });
+    const events = record(limiter);
+    assert.deepEqual(await fetchGet('https://api.test/busy', { rateLimiter: limiter }), { ok: true });
+    assert.equal(mock.requests.length, 2);
+    const pause = events.find(e => e.type === 'pause');
+    assert.deepEqual({ host: pause.host, status: pause.status, retryAfter: pause.retryAfter }, { host: 'api.test', status: 429, retryAfter: 0 });
+});
+
+test('a paused host makes other requests wait, and resume is emitted', async () => {
+    const limiter = createRateLimiter({ rate: 100, interval: 10 });
+    const events = record(limiter);
+    const resumed = new Promise(resolve => limiter.once('resume', resolve));
+    limiter.pauseHost('a.test', 30, 429);
+    const started = Date.now();
+    await limiter.acquire('a.test');
+    assert.ok(Date.now() - started >= 25);
+    assert.ok(events.some(e => e.type === 'wait' && e.reason === 'paused'));
+    // the resume timer is unref'd and may fire just after acquire(): keep the process up until then
+    const keepAlive = setTimeout(() => {}, 1000);
+    assert.deepEqual(await resumed, { host: 'a.test' });
+    clearTimeout(keepAlive);
+});
+
+test('throttling gives up after maxRetries with the 429 error', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/busy', { status: 429, headers: { 'Retry-After': '0' } });
+    const limiter = createRateLimiter({ rate: 100, interval: 10, maxRetries: 1 });
+    const err = await fetchGet('https://api.test/busy', { rateLimiter: limiter }).catch(e => e);
+    assert.ok(err instanceof HttpError);
+    assert.equal(err.status, 429);
+    assert.equal(mock.requests.length, 2);
+});
+
+test('a fresh cache hit takes no token', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/item', { body: { ok: true } });
+    const limiter = createRateLimiter({ rate: 1, interval: 60000, burst: 1 });
+    const events = record(limiter);
+    const cache = createResponseCache({ ttl: 60000 });
+    await fetchGet('https://api.test/item', { cache, rateLimiter: limiter });
+    assert.deepEqual(await fetchGet('https://api.test/item', { cache, rateLimiter: limiter }), { ok: true });
+    assert.deepEqual(events.map(e => e.type), ['acquire']);
+    assert.equal(mock.requests.length, 1);
+});
+
+test('a long pause does not keep the process alive', () => {
+    createRateLimiter().pauseHost('a.test', 86400000, 429); // the test runner would hang here otherwise
+});
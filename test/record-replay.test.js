@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, createRecorder, createReplayServer, fetchGet, fetchPostJson, xhrGet, setTransport, NetworkError, ReplayMissError } = require('../AJAX.js');
+
+// Records `run` against a mock backend and returns the recorder.
+async function record(t, options, run) {
+    const mock = createMockServer().install();
+    mock.get('/pets', req => ({ body: { page: req.query.page || '1' } }));
+    mock.post('/auth/refresh', { body: { accessToken: 'acc-1', user: { name: 'ann', id_token: 'id-1' } } });
+    mock.post('/login', { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: 'session=s-1&ok=1' });
+    const recorder = createRecorder(options).install();
+    t.after(() => { recorder.restore(); mock.restore(); });
+    await run();
+    recorder.restore();
+    mock.restore();
+    return recorder;
+}
+
+test('credentials in headers and query strings are redacted', async t => {
+    const recorder = await record(t, {}, () => fetchGet('https://api.test/pets?page=2&api_key=s3cret', {
+        headers: { Authorization: 'Bearer abc', 'X-API-Key': 'k3y' },
+    }));
+    const [entry] = (await recorder.export()).entries;
+    assert.equal(entry.requestHeaders.authorization, '[redacted]');
+    assert.equal(entry.requestHeaders['x-api-key'], '[redacted]');
+    assert.doesNotMatch(entry.url, /s3cret/);
+    const har = JSON.stringify(await recorder.export('har'));
+    assert.doesNotMatch(har, /s3cret|k3y|Bearer abc/);
+    const [harEntry] = (await recorder.export('har')).log.entries;
+    assert.deepEqual(harEntry.request.queryString, [{ name: 'page', value: '2' }, { name: 'api_key', value: '[redacted]' }]);
+});
+
+test('redactQuery replaces the default parameter list', async t => {
+    const recorder = await record(t, { redactQuery: ['Token'] }, () => fetchGet('https://api.test/pets?token=abc&api_key=visible'));
+    const [entry] = (await recorder.export()).entries;
+    const params = new URL(entry.url).searchParams;
+    assert.equal(params.get('token'), '[redacted]');
+    assert.equal(params.get('api_key'), 'visible');
+});
+
+test('replay matches redacted parameters with any value, and the rest exactly', async t => {
+    const recorder = await record(t, {}, () => fetchGet('https://api.test/pets?page=2&api_key=s3cret'));
+    const replay = createReplayServer(await recorder.export('har')).install();
+    t.after(() => replay.restore());
+    assert.deepEqual(await fetchGet('https://api.test/pets?api_key=other&page=2'), { page: '2' });
+    const err = await fetchGet('https://api.test/pets?page=3&api_key=other').catch(e => e);
+    assert.ok(err instanceof NetworkError);
+    assert.ok(err.cause instanceof ReplayMissError);
+});
+
+test('a replay miss over XHR keeps the ReplayMissError as the cause', async t => {
+    const replay = createReplayServer({ version: 1, entries: [] }).install();
+    setTransport('xhr');
+    t.after(() => { replay.restore(); setTransport(null); });
+    const err = await new Promise((resolve, reject) => xhrGet('https://api.test/pets', reject, resolve));
+    assert.ok(err instanceof NetworkError);
+    assert.ok(err.cause instanceof ReplayMissError);
+});
+
+test('token fields in JSON and form bodies are redacted', async t => {
+    const recorder = await record(t, {}, async () => {
+        await fetchPostJson('https://api.test/auth/refresh', { refreshToken: 'ref-1', device: 'd' });
+        await fetch('https://api.test/login', { method: 'POST', body: new URLSearchParams({ user: 'ann', password: 'pw' }) });
+    });
+    const [refresh, login] = (await recorder.export()).entries;
+    assert.deepEqual(JSON.parse(refresh.requestBody), { refreshToken: '[redacted]', device: 'd' });
+    assert.deepEqual(JSON.parse(refresh.body), { accessToken: '[redacted]', user: { name: 'ann', id_token: '[redacted]' } });
+    assert.equal(login.requestBody, 'user=ann&password=%5Bredacted%5D');
+    assert.equal(login.body, 'session=s-1&ok=1');
+    assert.doesNotMatch(JSON.stringify(await recorder.export('har')), /ref-1|acc-1|id-1|pw/);
+});
+
+test('redactFields and redactBody customise body redaction', async t => {
+    const recorder = await record(t, {
+        redactFields: ['session'],
+        redactBody: entry => { entry.body = entry.body.replace(/ok=1/, 'ok=[hidden]'); },
+    }, async () => {
+        await fetchPostJson('https://api.test/auth/refresh', { refreshToken: 'ref-1' });
+        await fetch('https://api.test/login', { method: 'POST', body: 'x=1' });
+    });
+    const [refresh, login] = (await recorder.export()).entries;
+    assert.deepEqual(JSON.parse(refresh.requestBody), { refreshToken: 'ref-1' });
+    assert.equal(login.body, 'session=%5Bredacted%5D&ok=[hidden]');
+});
+
+test('replay with matchBody lets redacted fields match any value', async t => {
+    const recorder = await record(t, {}, () => fetchPostJson('https://api.test/auth/refresh', { refreshToken: 'ref-1', device: 'd' }));
+    const replay = createReplayServer(await recorder.export(), { matchBody: true }).install();
+    t.after(() => replay.restore());
+    const data = await fetchPostJson('https://api.test/auth/refresh', { refreshToken: 'other', device: 'd' });
+    assert.equal(data.user.name, 'ann');
+    await assert.rejects(fetchPostJson('https://api.test/auth/refresh', { refreshToken: 'other', device: 'e' }), NetworkError);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResumableDownload } = require('../AJAX.js');
+
+// A body of `size` bytes sent in 10-byte pieces, one every `every` ms; honours the request's signal.
+function slowBody(bytes, every, signal) {
+    let offset = 0;
+    return new ReadableStream({
+        async pull(controller) {
+            await new Promise(resolve => setTimeout(resolve, every));
+            if (signal && signal.aborted) return controller.error(new DOMException('aborted', 'AbortError'));
+            if (offset >= bytes.length) return controller.close();
+            controller.enqueue(bytes.slice(offset, offset += 10));
+        },
+    });
+}
+
+function stubFetch(t, handler) {
+    const original = globalThis.fetch;
+    const requests = [];
+    globalThis.fetch = async (url, init = {}) => {
+        const headers = new Headers(init.headers);
+        requests.push({ url, range: headers.get('Range'), ifRange: headers.get('If-Range') });
+        return handler(headers, init.signal);
+    };
+    t.after(() => { globalThis.fetch = original; });
+    return requests;
+}
+
+const file = Uint8Array.from({ length: 100 }, (_, i) => i);
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('downloads range by range and reports progress', async t => {
+    stubFetch(t, headers => {
+        const [, start, end] = /bytes=(\d+)-(\d+)/.exec(headers.get('Range')).map(Number);
+        const last = Math.min(end, 99);
+        return new Response(file.slice(start, last + 1), {
+            status: 206, headers: { 'Content-Range': `bytes ${start}-${last}/100`, ETag: '"v1"' },
+        });
+    });
+    const progress = [];
+    const dl = createResumableDownload('https://files.test/a.bin', { chunkSize: 40, onProgress: p => progress.push(p.loaded) });
+    const blob = await dl.done;
+    assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), file);
+    assert.deepEqual(progress, [40, 80, 100]);
+});
+
+test('pausing a 200 download (no Range support) restarts it on resume instead of finishing early', async t => {
+    const requests = stubFetch(t, (headers, signal) => new Response(slowBody(file, 10, signal), { status: 200 }));
+    const dl = createResumableDownload('https://files.test/no-range.bin');
+    await wait(35);
+    dl.pause();
+    await wait(30);
+    assert.equal(dl.state, 'paused');
+    dl.resume();
+    const blob = await dl.done;
+    assert.equal(dl.state, 'done');
+    assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), file);
+    assert.equal(requests.length, 2);
+});
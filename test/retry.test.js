@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withRetry, parseRetryAfter, fetchGet, fetchPostJson, fetchWithTimeout, createMockServer, HttpError, NetworkError } = require('../AJAX.js');
+
+const fast = { baseDelay: 1, maxDelay: 5, jitter: false };
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter('0.5'), 500);
+    assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('withRetry backs off exponentially up to maxDelay', async () => {
+    const delays = [];
+    const policy = { maxAttempts: 5, baseDelay: 1, maxDelay: 4, jitter: false, onRetry: ({ delay }) => delays.push(delay) };
+    await assert.rejects(withRetry(() => Promise.reject(new NetworkError({ url: '/x' })), policy), NetworkError);
+    assert.deepEqual(delays, [1, 2, 4, 4]);
+});
+
+test('withRetry uses injected randomness for full jitter', async () => {
+    const delays = [];
+    const policy = { maxAttempts: 2, baseDelay: 10, jitter: true, random: () => 0.5, onRetry: ({ delay }) => delays.push(delay) };
+    await assert.rejects(withRetry(() => Promise.reject(new NetworkError({ url: '/x' })), policy));
+    assert.deepEqual(delays, [5]);
+});
+
+test('withRetry does not retry 4xx errors', async () => {
+    let calls = 0;
+    const fail = () => { calls++; return Promise.reject(new HttpError({ status: 404 })); };
+    await assert.rejects(withRetry(fail, fast), HttpError);
+    assert.equal(calls, 1);
+});
+
+test('withRetry stops waiting when the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = withRetry(() => Promise.reject(new NetworkError({ url: '/x' })), { baseDelay: 60000, jitter: false }, controller.signal);
+    setTimeout(() => controller.abort(), 5);
+    await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('fetchGet retries 503 and honours Retry-After', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/flaky', { status: 503, headers: { 'Retry-After': '0' } }, { times: 2 });
+    mock.get('/flaky', { body: { ok: true } });
+    const delays = [];
+    const data = await fetchGet('https://api.test/flaky', { retry: { ...fast, onRetry: ({ delay }) => delays.push(delay) } });
+    assert.deepEqual(data, { ok: true });
+    assert.deepEqual(delays, [0, 0]);
+    assert.equal(mock.requests.length, 3);
+});
+
+test('a long Retry-After is capped by maxRetryAfter', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/busy', { status: 429, headers: { 'Retry-After': '86400' } }, { times: 1 });
+    mock.get('/busy', { body: { ok: true } });
+    const delays = [];
+    const data = await fetchGet('https://api.test/busy', { retry: { ...fast, maxRetryAfter: 10, onRetry: ({ delay }) => delays.push(delay) } });
+    assert.deepEqual(data, { ok: true });
+    assert.deepEqual(delays, [10]);
+});
+
+test('fetchPostJson passes the caller signal to the request and the backoff', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.post('/slow', { delay: 1000, body: {} });
+    mock.post('/down', { status: 503 });
+    const inFlight = new AbortController();
+    setTimeout(() => inFlight.abort(), 10);
+    const err = await fetchPostJson('https://api.test/slow', {}, { signal: inFlight.signal }).catch(e => e);
+    assert.equal(err.name, 'AbortError');
+
+    const backoff = new AbortController();
+    const started = Date.now();
+    setTimeout(() => backoff.abort(), 20);
+    const err2 = await fetchPostJson('https://api.test/down', {}, {
+        signal: backoff.signal, retry: { maxAttempts: 3, baseDelay: 5000, jitter: false },
+    }).catch(e => e);
+    assert.equal(err2.name, 'AbortError');
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('fetchWithTimeout aborts on the caller signal before the timeout', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/slow', { delay: 1000, body: {} });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const started = Date.now();
+    const err = await fetchWithTimeout('https://api.test/slow', 5000, { signal: controller.signal }).catch(e => e);
+    assert.equal(err.name, 'AbortError');
+    assert.ok(Date.now() - started < 1000);
+});
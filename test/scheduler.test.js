@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, createRequestScheduler, createResponseCache, fetchGet } = require('../AJAX.js');
+
+function setup(t) {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/item', { body: { ok: true } });
+    return mock;
+}
+
+test('a fresh cache hit does not wait for a free slot', async t => {
+    const mock = setup(t);
+    const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+    const cache = createResponseCache({ ttl: 60000 });
+    await fetchGet('https://api.test/item', { cache, scheduler });
+    let release;
+    const blocker = scheduler.schedule(() => new Promise(resolve => { release = resolve; }));
+    t.after(() => release());
+    assert.deepEqual(await fetchGet('https://api.test/item', { cache, scheduler }), { ok: true });
+    assert.equal(mock.requests.length, 1);
+    release();
+    await blocker;
+});
+
+test('fetch\'s own priority hint passes through unless a scheduler used it', async t => {
+    setup(t);
+    const mockFetch = globalThis.fetch;
+    const seen = [];
+    globalThis.fetch = (input, init = {}) => { seen.push(init.priority); return mockFetch(input, init); };
+    t.after(() => { globalThis.fetch = mockFetch; });
+    await fetchGet('https://api.test/item', { priority: 'high' });
+    await fetchGet('https://api.test/item', { priority: 'high', scheduler: createRequestScheduler() });
+    await fetchGet('https://api.test/item', { priority: 5 });
+    assert.deepEqual(seen, ['high', undefined, undefined]);
+});
+
+// A task that runs until release(name) is called; `log` records the start order.
+function gate(log) {
+    const waiting = new Map();
+    return {
+        task: name => () => { log.push(name); return new Promise(resolve => waiting.set(name, resolve)); },
+        release: name => waiting.get(name)(name),
+    };
+}
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('queued tasks run by priority, first come first served within a level', async () => {
+    const log = [];
+    const { task, release } = gate(log);
+    const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+    const running = scheduler.schedule(task('first'));
+    const queued = [
+        scheduler.schedule(task('low'), { priority: 'low' }),
+        scheduler.schedule(task('normal-1')),
+        scheduler.schedule(task('high'), { priority: 'high' }),
+        scheduler.schedule(task('normal-2')),
+        scheduler.schedule(task('urgent'), { priority: 50 }),
+    ];
+    for (const name of ['first', 'urgent', 'high', 'normal-1', 'normal-2', 'low']) {
+        await tick();
+        release(name);
+    }
+    await Promise.all([running, ...queued]);
+    assert.deepEqual(log, ['first', 'urgent', 'high', 'normal-1', 'normal-2', 'low']);
+});
+
+test('maxPerHost and hostLimits cap each host without blocking the others', async () => {
+    const log = [];
+    const { task, release } = gate(log);
+    const scheduler = createRequestScheduler({ maxConcurrent: 10, maxPerHost: 2, hostLimits: { 'slow.test': 1 } });
+    const jobs = [
+        scheduler.schedule(task('a1'), { host: 'a.test' }),
+        scheduler.schedule(task('a2'), { host: 'a.test' }),
+        scheduler.schedule(task('a3'), { host: 'a.test' }),
+        scheduler.schedule(task('s1'), { host: 'slow.test' }),
+        scheduler.schedule(task('s2'), { host: 'slow.test' }),
+    ];
+    await tick();
+    assert.deepEqual(log, ['a1', 'a2', 's1']);
+    assert.deepEqual(scheduler.stats(), {
+        active: 3, queued: 2,
+        hosts: { 'a.test': { active: 2, queued: 1 }, 'slow.test': { active: 1, queued: 1 } },
+    });
+    release('s1');
+    await tick();
+    assert.deepEqual(log, ['a1', 'a2', 's1', 's2']);
+    ['a1', 'a2', 's2'].forEach(release);
+    await tick();
+    release('a3');
+    assert.deepEqual(await Promise.all(jobs), ['a1', 'a2', 'a3', 's1', 's2']);
+    assert.deepEqual(scheduler.stats(), { active: 0, queued: 0, hosts: {} });
+});
+
+test('aborting a queued task removes it; a running one is left alone', async () => {
+    const log = [];
+    const { task, release } = gate(log);
+    const changes = [];
+    const scheduler = createRequestScheduler({ maxConcurrent: 1, onChange: s => changes.push(s.queued) });
+    const controller = new AbortController();
+    const running = scheduler.schedule(task('running'), { signal: new AbortController().signal });
+    const cancelled = scheduler.schedule(task('cancelled'), { signal: controller.signal });
+    const after = scheduler.schedule(task('after'));
+    controller.abort();
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    assert.equal(scheduler.stats().queued, 1);
+    await tick();
+    release('running');
+    await tick();
+    release('after');
+    await Promise.all([running, after]);
+    assert.deepEqual(log, ['running', 'after']);
+    assert.deepEqual(changes, [0, 1, 2, 1, 0, 0]);
+});
+
+test('an already aborted signal rejects without queueing', async () => {
+    const scheduler = createRequestScheduler();
+    let ran = false;
+    await assert.rejects(scheduler.schedule(() => { ran = true; }, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.equal(ran, false);
+    assert.equal(scheduler.stats().queued, 0);
+});
+
+test('clear() rejects everything still queued and lets running tasks finish', async () => {
+    const log = [];
+    const { task, release } = gate(log);
+    const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+    const running = scheduler.schedule(task('running'));
+    const queued = scheduler.schedule(task('queued'));
+    scheduler.clear(new Error('left the page'));
+    await assert.rejects(queued, /left the page/);
+    await tick();
+    release('running');
+    assert.equal(await running, 'running');
+    assert.deepEqual(log, ['running']);
+});
+
+test('a failing task rejects its own promise and frees the slot', async () => {
+    const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+    const failing = scheduler.schedule(() => { throw new Error('boom'); });
+    const next = scheduler.schedule(() => 'ok');
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'ok');
+});
+
+test('fetchGet queues behind the scheduler by the URL\'s host', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/slow', { delay: 30, body: {} });
+    const seen = [];
+    const scheduler = createRequestScheduler({ maxPerHost: 1, onChange: s => seen.push(JSON.stringify(s.hosts)) });
+    const get = () => fetchGet('https://api.test/slow', { scheduler, dedupe: false });
+    await Promise.all([get(), get()]);
+    assert.ok(seen.includes('{"api.test":{"active":1,"queued":1}}'));
+    assert.equal(mock.requests.length, 2);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockServer, streamSse, streamNdjson } = require('../AJAX.js');
+
+// A response body that arrives in exactly these chunks.
+function chunked(parts) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            parts.forEach(part => controller.enqueue(encoder.encode(part)));
+            controller.close();
+        },
+    });
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+test('SSE events survive a \\r\\n split across chunks', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/events', () => ({
+        headers: { 'Content-Type': 'text/event-stream' },
+        body: chunked(['data: hello\r', '\n\r\n', 'id: 2\rdata: bye\r', '\r']),
+    }));
+    const events = await collect(streamSse('https://api.test/events', { reconnect: false }));
+    assert.deepEqual(events, [
+        { type: 'message', data: 'hello', id: '' },
+        { type: 'message', data: 'bye', id: '2' },
+    ]);
+});
+
+test('NDJSON rows survive a \\r\\n split across chunks', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/rows', () => ({
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body: chunked(['{"a":1}\r', '\n{"a":2}\r\n', '{"a":3}\r']),
+    }));
+    assert.deepEqual(await collect(streamNdjson('https://api.test/rows')), [{ a: 1 }, { a: 2 }, { a: 3 }]);
+});
+
+test('NDJSON splits lines inside a chunk and keeps partial lines for the next one', async t => {
+    const mock = createMockServer().install();
+    t.after(() => mock.restore());
+    mock.get('/rows', () => ({
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body: chunked(['{"a":1}\n{"a"', ':2}\n\n{"a":3}']),
+    }));
+    assert.deepEqual(await collect(streamNdjson('https://api.test/rows')), [{ a: 1 }, { a: 2 }, { a: 3 }]);
+});
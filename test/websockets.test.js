@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSocket, createMockSocketServer } = require('../WebSockets.js');
+const { NetworkError, TimeoutError } = require('../AJAX.js');
+
+const fast = { baseDelay: 5, maxDelay: 20, jitter: false };
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+// Echoes { type: 'echo' } and answers requests (frames with an id) with { id, ok: true }.
+function echoServer() {
+    return createMockSocketServer(conn => conn.on('message', raw => {
+        const msg = JSON.parse(raw);
+        if (msg.type === 'ping') conn.send(JSON.stringify({ type: 'pong' }));
+        else if (msg.id !== undefined && msg.type !== 'silent') conn.send(JSON.stringify({ id: msg.id, ok: true }));
+        else if (msg.type === 'echo') conn.send(raw);
+    }));
+}
+
+function open(t, server, options = {}) {
+    const socket = createSocket('ws://test/chat', { WebSocket: server.WebSocket, reconnect: fast, ...options });
+    t.after(() => socket.close());
+    return socket;
+}
+
+test('messages sent while connecting are queued, then flushed in order', async t => {
+    const server = echoServer();
+    const socket = open(t, server);
+    socket.send({ type: 'echo', n: 1 });
+    socket.send({ type: 'echo', n: 2 });
+    assert.equal(socket.queued, 2);
+    assert.equal(socket.state, 'connecting');
+    const received = [];
+    socket.on('message', msg => received.push(msg.n));
+    await next(socket, 'open');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(received, [1, 2]);
+    assert.equal(socket.queued, 0);
+});
+
+test('the outbound queue is limited by maxQueue', t => {
+    const socket = open(t, echoServer(), { maxQueue: 2 });
+    socket.send({ n: 1 });
+    socket.send({ n: 2 });
+    assert.throws(() => socket.send({ n: 3 }), RangeError);
+});
+
+test('request() resolves with the reply carrying the same id', async t => {
+    const socket = open(t, echoServer());
+    const [a, b] = await Promise.all([socket.request({ type: 'a' }), socket.request({ type: 'b' })]);
+    assert.deepEqual([a, b], [{ id: 1, ok: true }, { id: 2, ok: true }]);
+});
+
+test('request() rejects with TimeoutError when no reply comes', async t => {
+    const socket = open(t, echoServer());
+    await assert.rejects(socket.request({ type: 'silent' }, { timeout: 20 }), TimeoutError);
+});
+
+test('request() rejects with NetworkError when the connection is lost first', async t => {
+    const server = echoServer();
+    const socket = open(t, server);
+    await next(socket, 'open');
+    const pending = socket.request({ type: 'silent' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    server.connections[0].drop();
+    await assert.rejects(pending, NetworkError);
+});
+
+test('a dropped connection reconnects with backoff and keeps queueing', async t => {
+    const server = echoServer();
+    const socket = open(t, server);
+    await next(socket, 'open');
+    const reconnects = [];
+    socket.on('reconnect', e => reconnects.push(e));
+    server.connections[0].drop();
+    const closed = await next(socket, 'close');
+    assert.deepEqual(closed, { code: 1006, reason: '', willReconnect: true });
+    assert.equal(socket.state, 'reconnecting');
+    socket.send({ type: 'echo', n: 1 });
+    const echoed = next(socket, 'message');
+    assert.deepEqual(await next(socket, 'open'), { attempt: 1 });
+    assert.deepEqual((await echoed).n, 1);
+    assert.deepEqual(reconnects, [{ attempt: 1, delay: 5 }]);
+});
+
+test('reconnecting gives up after maxAttempts failures in a row', async t => {
+    const server = echoServer();
+    const socket = open(t, server, { reconnect: { ...fast, maxAttempts: 2 } });
+    await next(socket, 'open');
+    server.refuse = true;
+    const delays = [];
+    socket.on('reconnect', e => delays.push(e.delay));
+    const closes = [];
+    const gaveUp = new Promise(resolve => socket.on('close', e => { closes.push(e.willReconnect); if (!e.willReconnect) resolve(); }));
+    server.connections[0].drop();
+    await gaveUp;
+    assert.deepEqual(delays, [5, 10]);
+    assert.deepEqual(closes, [true, true, false]);
+    assert.equal(socket.state, 'closed');
+    assert.throws(() => socket.send({}), /is closed/);
+});
+
+test('the heartbeat swallows pongs and keeps a live connection open', async t => {
+    const socket = open(t, echoServer(), { heartbeat: { interval: 10, timeout: 15 } });
+    const events = [];
+    socket.on('message', msg => events.push(msg));
+    socket.on('close', e => events.push(e));
+    await next(socket, 'open');
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepEqual(events, []);
+    assert.equal(socket.state, 'open');
+});
+
+test('a heartbeat without any answer drops the link and reconnects', async t => {
+    const seen = [];
+    const silent = createMockSocketServer(conn => seen.push(conn));
+    const socket = open(t, silent, { heartbeat: { interval: 10, timeout: 10 } });
+    await next(socket, 'open');
+    assert.deepEqual(await next(socket, 'close'), { code: 4000, reason: 'Heartbeat timeout', willReconnect: true });
+    assert.deepEqual(await next(socket, 'open'), { attempt: 1 });
+    assert.deepEqual(seen[0].received, ['{"type":"ping"}']);
+});
+
+test('for await ends once the socket is closed', async t => {
+    const server = echoServer();
+    const socket = open(t, server);
+    await next(socket, 'open');
+    const seen = [];
+    const loop = (async () => { for await (const msg of socket) seen.push(msg.n); })();
+    socket.send({ type: 'echo', n: 1 });
+    socket.send({ type: 'echo', n: 2 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await socket.close();
+    await loop;
+    assert.deepEqual(seen, [1, 2]);
+    assert.equal(socket.state, 'closed');
+});
+
+test('close() while waiting to reconnect stops for good', async t => {
+    const server = echoServer();
+    const socket = open(t, server, { reconnect: { ...fast, baseDelay: 1000 } });
+    await next(socket, 'open');
+    server.connections[0].drop();
+    await next(socket, 'reconnect');
+    await socket.close();
+    assert.equal(socket.state, 'closed');
+    assert.equal(server.connections.length, 0);
+});